@@ -1,42 +1,65 @@
 // AI integration for image captioning
 
+import { getBackend } from './backends.js';
+import { cacheKey, getCachedCaption, putCachedCaption } from './cache.js';
+
 /**
  * Build the prompt for image captioning
  */
-function buildCaptionPrompt() {
+export function buildCaptionPrompt() {
   return `What do you think this drawing represents? Be as succinct as possible. Ideally one word. If there are multiple components, then at most one sentence.`;
 }
 
 /**
- * Caption image using Claude 4 Sonnet via Replicate proxy
+ * Build the prompt for guessing in the Pictionary game
  */
-export async function captionImage(imageDataURL) {
-  if (!imageDataURL) {
-    throw new Error('No image data provided');
-  }
-  
-  console.log('Image data URL length:', imageDataURL.length);
-  console.log('Image data URL prefix:', imageDataURL.substring(0, 50));
+export function buildGuessPrompt() {
+  return `We are playing Pictionary. The drawing may be unfinished. What object or thing is being drawn? Answer with your single best guess in one to three words, no punctuation.`;
+}
+
+/**
+ * Build the prompt asking for several ranked readings of the drawing
+ */
+export function buildAlternativesPrompt(count = 4) {
+  return `What could this drawing represent? Give ${count} different interpretations, most likely first. Keep each one short: ideally one word, at most one sentence. Reply with only a JSON list in this format: [{"caption": "a cat", "confidence": 0.6}], where confidence is a rough probability between 0 and 1.`;
+}
+
+/**
+ * Build the prompt for captioning one selected region
+ */
+export function buildRegionPrompt() {
+  return `This image is one part cut out of a larger drawing. What does this part represent? Answer in one to three words, no punctuation.`;
+}
+
+/**
+ * Build the prompt describing the whole scene from its labelled parts
+ */
+export function buildScenePrompt(labels) {
+  return `This drawing contains these labelled parts: ${labels.join(', ')}. Describe the whole scene in one short sentence.`;
+}
+
+const PROXY_URL = 'https://itp-ima-replicate-proxy.web.app/api/create_n_get';
+const IMAGE_MODEL = 'black-forest-labs/flux-schnell';
 
-  // Strip the data URL prefix to get just the base64 data
-  const base64Data = imageDataURL.replace(/^data:image\/[a-z]+;base64,/, '');
-  console.log('Base64 data length:', base64Data.length);
+/**
+ * Read the file format (png, jpeg, ...) from a data URL
+ */
+function imageFormat(imageDataURL) {
+  const match = imageDataURL.match(/^data:image\/([a-z]+);base64,/);
+  return match ? match[1] : 'png';
+}
 
-  const response = await fetch('https://itp-ima-replicate-proxy.web.app/api/create_n_get', {
+/**
+ * POST a Replicate request through the proxy and return the parsed response
+ */
+async function postToProxy(body, signal) {
+  const response = await fetch(PROXY_URL, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json'
     },
-    body: JSON.stringify({
-      model: 'anthropic/claude-4-sonnet',
-      fieldToConvertBase64ToURL: 'image',
-      fileFormat: 'png',
-      input: {
-        image: base64Data,
-        prompt: buildCaptionPrompt(),
-        max_tokens: 1024
-      }
-    })
+    signal,
+    body: JSON.stringify(body)
   });
 
   if (!response.ok) {
@@ -47,18 +70,97 @@ export async function captionImage(imageDataURL) {
 
   const data = await response.json();
   console.log('API response:', data);
+  return data;
+}
+
+/**
+ * Caption image with a registered vision backend
+ * Accepts a base64 data URL or a hosted http(s) image URL
+ * Pass an AbortSignal to cancel a request that is no longer needed
+ * Identical requests are answered from the cache unless refresh is set
+ * Resolves to { caption, model, prompt, cached, key } so callers can record what produced it
+ * (key is the cache key, null for offline backends)
+ */
+export async function captionImage(imageDataURL, { signal, backendId, prompt = buildCaptionPrompt(), refresh = false } = {}) {
+  if (!imageDataURL) {
+    throw new Error('No image data provided');
+  }
+  
+  const backend = getBackend(backendId);
   
-  // Handle different response formats
-  let output;
-  if (Array.isArray(data.output)) {
-    output = data.output.join('');
-  } else if (typeof data.output === 'string') {
-    output = data.output;
-  } else if (typeof data === 'string') {
-    output = data;
+  console.log('Image data URL length:', imageDataURL.length);
+  console.log('Image data URL prefix:', imageDataURL.substring(0, 50));
+
+  if (backend.offline) {
+    const caption = await backend.run({ image: imageDataURL, prompt, signal });
+    return { caption: caption.trim(), model: backend.model, prompt, cached: false, key: null };
+  }
+
+  const key = await cacheKey({ image: imageDataURL, model: backend.model, prompt });
+  const hit = refresh ? null : getCachedCaption(key);
+  if (hit) {
+    return { caption: hit.caption, model: backend.model, prompt, cached: true, key };
+  }
+
+  // Hosted images go straight to the model; data URLs are hosted by the proxy first
+  const isHosted = /^https?:\/\//.test(imageDataURL);
+  const body = { model: backend.model };
+  if (isHosted) {
+    body.input = backend.buildInput({ image: imageDataURL, prompt });
   } else {
-    output = JSON.stringify(data);
+    // Strip the data URL prefix to get just the base64 data
+    const base64Data = imageDataURL.replace(/^data:image\/[a-z]+;base64,/, '');
+    console.log('Base64 data length:', base64Data.length);
+    body.fieldToConvertBase64ToURL = backend.imageField;
+    body.fileFormat = imageFormat(imageDataURL);
+    body.input = backend.buildInput({ image: base64Data, prompt });
   }
 
-  return output.trim();
+  const data = await postToProxy(body, signal);
+  const caption = backend.parseOutput(data).trim();
+  putCachedCaption(key, { caption, model: backend.model });
+  return { caption, model: backend.model, prompt, cached: false, key };
+}
+
+/**
+ * Placeholder "generated" image for offline runs: the prompt set as text
+ */
+function placeholderImage(prompt) {
+  const escaped = prompt.replace(/[<>&]/g, ch => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;' })[ch]);
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="256" height="256">
+  <rect width="256" height="256" fill="#fffefb"/>
+  <foreignObject x="16" y="16" width="224" height="224">
+    <div xmlns="http://www.w3.org/1999/xhtml" style="font: italic 18px sans-serif; color: #222; display: flex; align-items: center; justify-content: center; height: 100%; text-align: center;">${escaped}</div>
+  </foreignObject>
+</svg>`;
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+}
+
+/**
+ * Generate an image from a text prompt with FLUX Schnell via the proxy
+ * Resolves to { image, model } where image is a URL
+ */
+export async function generateImage(prompt, { signal, offline = false } = {}) {
+  if (!prompt) {
+    throw new Error('No prompt provided');
+  }
+
+  if (offline) {
+    return { image: placeholderImage(prompt), model: 'mock' };
+  }
+
+  const data = await postToProxy({
+    model: IMAGE_MODEL,
+    input: {
+      prompt,
+      num_outputs: 1,
+      output_format: 'png'
+    }
+  }, signal);
+
+  const image = Array.isArray(data.output) ? data.output[0] : data.output;
+  if (typeof image !== 'string') {
+    throw new Error('Unexpected image response shape');
+  }
+  return { image, model: IMAGE_MODEL };
 }
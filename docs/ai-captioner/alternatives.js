@@ -0,0 +1,81 @@
+// Parsing ranked alternative captions out of free-form model output
+
+/**
+ * Normalize a confidence value to 0..1, accepting fractions, percentages and "80%"
+ */
+function toConfidence(value) {
+  const isPercent = typeof value === 'string' && value.trim().endsWith('%');
+  const number = typeof value === 'string' ? parseFloat(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number)) return null;
+  const fraction = isPercent || number > 1 ? number / 100 : number;
+  return Math.max(0, Math.min(1, fraction));
+}
+
+/**
+ * Turn one parsed JSON item into { caption, confidence }
+ */
+function fromJsonItem(item) {
+  if (typeof item === 'string') return { caption: item, confidence: null };
+  if (!item || typeof item !== 'object') return null;
+  const caption = item.caption ?? item.text ?? item.label ?? item.interpretation;
+  if (typeof caption !== 'string') return null;
+  return { caption, confidence: toConfidence(item.confidence ?? item.score ?? item.probability) };
+}
+
+/**
+ * Try to read a JSON list, ignoring code fences and chatter around it
+ */
+function parseJsonList(text) {
+  const start = text.indexOf('[');
+  const end = text.lastIndexOf(']');
+  if (start < 0 || end <= start) return null;
+
+  try {
+    const data = JSON.parse(text.slice(start, end + 1));
+    if (!Array.isArray(data)) return null;
+    const items = data.map(fromJsonItem).filter(Boolean);
+    return items.length ? items : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Fallback for numbered or bulleted lists such as "1. a cat (80%)"
+ */
+function parseLines(text) {
+  const lines = text.split('\n')
+    .map(line => line.trim())
+    .filter(line => /^(\d+[.)]|[-*•])\s+/.test(line));
+  if (lines.length < 2) return null;
+
+  return lines.map(line => {
+    const body = line.replace(/^(\d+[.)]|[-*•])\s+/, '');
+    // Trailing "(80%)", "[0.8]", "- 80%" or "80%"
+    const match = body.match(/\s*(?:[([]\s*(\d+(?:\.\d+)?\s*%?)\s*[)\]]|[-–:]?\s*(\d+(?:\.\d+)?\s*%))\s*$/);
+    if (!match) return { caption: body, confidence: null };
+    return { caption: body.slice(0, match.index), confidence: toConfidence(match[1] ?? match[2]) };
+  });
+}
+
+/**
+ * Parse model output into alternatives sorted by confidence (most likely first)
+ * Falls back to a single alternative when the model ignored the format
+ */
+export function parseAlternatives(text) {
+  const items = parseJsonList(text) || parseLines(text) || [{ caption: text, confidence: null }];
+
+  const cleaned = items
+    .map(item => ({ ...item, caption: item.caption.trim().replace(/^["']|["']$/g, '') }))
+    .filter(item => item.caption);
+
+  // Stable sort: unknown confidences keep their position after the known ones
+  return cleaned
+    .map((item, index) => ({ item, index }))
+    .sort((a, b) => {
+      const ca = a.item.confidence ?? -1;
+      const cb = b.item.confidence ?? -1;
+      return cb - ca || a.index - b.index;
+    })
+    .map(({ item }) => item);
+}
@@ -1,79 +1,488 @@
 // Main application bootstrap and event handling
 
-import { getElements, render } from './ui.js';
+import {
+  getElements,
+  render,
+  downloadFile,
+  populateBackendSelect,
+  updateGameStatus,
+  updateDebugPreview,
+  updateReplayCaptions,
+  updateReplayPosition
+} from './ui.js';
 import { 
   createInitialState, 
   setTool,
+  setColor,
+  setBrushSize,
+  commitStrokes,
+  addStroke,
+  deleteStroke,
+  clearStrokes,
+  undo,
+  redo,
+  setBackground,
+  setIncludeBackground,
+  setLive,
+  setBackend,
+  setGallery,
+  setGalleryOpen,
+  setReplayOpen,
+  logCaption,
+  startRound,
+  addGuess,
+  endRound,
+  setRounds,
+  isPlaying,
+  addRegion,
+  updateRegion,
+  clearRegions,
+  setChainHops,
+  startChain,
+  setChainStep,
+  finishChain,
+  setAlternatives,
+  acceptAlternative,
+  setCaptionEntry,
+  setMulti,
   setLoading, 
   setCaption, 
-  setError 
+  setError,
+  resetToIdle
 } from './state.js';
-import { captionImage } from './ai.js';
+import {
+  captionImage,
+  buildCaptionPrompt,
+  buildGuessPrompt,
+  buildAlternativesPrompt,
+  buildRegionPrompt,
+  buildScenePrompt
+} from './ai.js';
+import { parseAlternatives } from './alternatives.js';
+import { backends, getBackend } from './backends.js';
+import { createStroke, addPoint, setShapeEnd, findStrokeAt, SHAPE_KINDS } from './strokes.js';
+import {
+  drawSegment,
+  drawStroke,
+  renderStrokes,
+  renderOverlay,
+  findFillAt,
+  canvasThumbnail
+} from './canvas.js';
+import { createRegion, isUsableRegion, maskedRegionCanvas } from './regions.js';
+import { readImageFile, renderBackground, compositeLayers } from './layers.js';
+import {
+  createTimeline,
+  strokesAt,
+  captionAt,
+  replaySize,
+  renderReplayFrame,
+  recordReplay
+} from './replay.js';
+import {
+  saveEntry,
+  updateEntry,
+  listEntries,
+  findEntryByCacheKey,
+  deleteEntry,
+  exportBundle,
+  saveRound,
+  listRounds
+} from './gallery.js';
+import { pickTarget, matchesTarget, scoreRound } from './game.js';
+import { strokesToSVG, captionedCanvas, serializeDrawing, parseDrawing } from './export.js';
+import { prepareImage, formatBytes } from './preprocess.js';
+import { runChain, buildChainBundle } from './chain.js';
+import { prefs } from './prefs.js';
 
 // Global state
-let state = createInitialState();
+let state = createInitialState({
+  live: prefs.liveMode,
+  backendId: prefs.backend,
+  chainHops: prefs.chainHops,
+  multi: prefs.alternatives,
+  includeBackground: prefs.captionBackground
+});
 let elements = null;
 
-// Drawing state
-let isDrawing = false;
-let lastX = 0;
-let lastY = 0;
+// Caption request state
+let inFlight = null; // { controller, revision, backendId, mode }
+let liveTimer = null;
+
+// Pictionary countdown
+let roundTimer = null;
+
+// Running telephone chain
+let chainController = null;
+
+// Session replay: timeline, scrubber position (ms) and playback
+const replay = { timeline: null, position: 0, playing: false, recording: false, frame: null };
+
+// Drawing state: in-progress strokes keyed by pointerId
+const activeStrokes = new Map();
+
+// Region selection being dragged out, and caption requests per region id
+let activeSelection = null; // { pointerId, region }
+const regionRequests = new Map();
+
+// Prompt used for each kind of caption request
+const PROMPT_BUILDERS = {
+  caption: buildCaptionPrompt,
+  guess: buildGuessPrompt,
+  alternatives: () => buildAlternativesPrompt(prefs.alternativeCount),
+  scene: () => buildScenePrompt(labelledRegions().map(region => region.label))
+};
+
+// Erasers are wider than the brush at the same size setting
+const ERASER_SCALE = 4;
+
+// Single-key tool shortcuts
+const TOOL_KEYS = {
+  KeyB: 'brush',
+  KeyE: 'eraser',
+  KeyF: 'fill',
+  KeyL: 'line',
+  KeyR: 'rect',
+  KeyO: 'ellipse',
+  KeyD: 'delete',
+  KeyM: 'marquee',
+  KeyS: 'lasso'
+};
+
+const SELECTION_TOOLS = { marquee: 'rect', lasso: 'lasso' };
 
 /**
- * Get canvas coordinates from mouse event
+ * Get canvas coordinates and pen data from a pointer event
  */
 function getCanvasCoords(canvas, e) {
   const rect = canvas.getBoundingClientRect();
   return {
     x: e.clientX - rect.left,
-    y: e.clientY - rect.top
+    y: e.clientY - rect.top,
+    // Some touch screens report 0 while in contact; treat that as "no pressure data"
+    pressure: e.pressure > 0 ? e.pressure : 0.5,
+    tiltX: e.tiltX || 0,
+    tiltY: e.tiltY || 0
   };
 }
 
 /**
- * Start drawing
+ * Redraw the canvas from the recorded strokes
+ */
+function redraw() {
+  renderStrokes(elements.canvas, state.strokes);
+}
+
+/**
+ * Redraw including strokes that are still being dragged out
+ */
+function redrawWithActive() {
+  renderStrokes(elements.canvas, [...state.strokes, ...activeStrokes.values()]);
+}
+
+/**
+ * Redraw region outlines and labels
+ */
+function redrawOverlay() {
+  renderOverlay(elements.overlay, state.regions, activeSelection?.region);
+}
+
+/**
+ * The canvas captions are made from: the strokes, composited over the photo when it is included
+ */
+function captionSource() {
+  if (state.background && state.includeBackground) {
+    return compositeLayers([elements.background, elements.canvas]);
+  }
+  return elements.canvas;
+}
+
+/**
+ * Delete the topmost stroke or fill under a point
+ */
+function deleteAt({ x, y }) {
+  const { width, height } = elements.canvas;
+  const stroke = findStrokeAt(state.strokes, x, y) || findFillAt(state.strokes, x, y, width, height);
+  if (!stroke) return;
+
+  state = deleteStroke(state, stroke.id);
+  redraw();
+  drawingChanged();
+}
+
+/**
+ * Add a flood fill at a point
+ */
+function fillAt(coords, pointerType) {
+  const stroke = createStroke({ kind: 'fill', color: state.color, pointerType });
+  addPoint(stroke, coords);
+  state = addStroke(state, stroke);
+  redraw();
+  drawingChanged();
+}
+
+/**
+ * Start drawing with the active tool
  */
 function startDrawing(e) {
-  isDrawing = true;
+  // Only the primary mouse button or pen tip draws
+  if (e.button !== 0) return;
+
   const coords = getCanvasCoords(elements.canvas, e);
-  lastX = coords.x;
-  lastY = coords.y;
+  const tool = state.currentTool;
+
+  if (tool === 'delete') {
+    deleteAt(coords);
+    return;
+  }
+
+  if (tool === 'fill') {
+    fillAt(coords, e.pointerType);
+    return;
+  }
+
+  if (SELECTION_TOOLS[tool]) {
+    e.preventDefault();
+    elements.canvas.setPointerCapture(e.pointerId);
+    const point = { x: coords.x, y: coords.y };
+    activeSelection = { pointerId: e.pointerId, region: createRegion(SELECTION_TOOLS[tool], [point]) };
+    return;
+  }
+
+  // The user is still drawing, so hold off on live captions
+  clearTimeout(liveTimer);
+
+  e.preventDefault();
+  elements.canvas.setPointerCapture(e.pointerId);
+
+  const isShape = SHAPE_KINDS.includes(tool);
+  const stroke = createStroke({
+    kind: isShape ? tool : 'freehand',
+    erase: tool === 'eraser',
+    color: state.color,
+    width: tool === 'eraser' ? state.brushSize * ERASER_SCALE : state.brushSize,
+    pointerType: e.pointerType
+  });
+  // Shapes keep a constant width, so they ignore pen pressure
+  addPoint(stroke, isShape ? { x: coords.x, y: coords.y } : coords);
+  activeStrokes.set(e.pointerId, stroke);
 }
 
 /**
- * Draw line
+ * Extend a freehand stroke, or drag out a shape
  */
 function draw(e) {
-  if (!isDrawing) return;
+  if (activeSelection?.pointerId === e.pointerId) {
+    extendSelection(e);
+    return;
+  }
+
+  const stroke = activeStrokes.get(e.pointerId);
+  if (!stroke) return;
+
+  if (stroke.kind !== 'freehand') {
+    setShapeEnd(stroke, getCanvasCoords(elements.canvas, e));
+    redrawWithActive();
+    return;
+  }
   
   const ctx = elements.canvas.getContext('2d');
-  const coords = getCanvasCoords(elements.canvas, e);
-  
-  ctx.beginPath();
-  ctx.moveTo(lastX, lastY);
-  ctx.lineTo(coords.x, coords.y);
-  ctx.strokeStyle = '#222';
-  ctx.lineWidth = 2;
-  ctx.lineCap = 'round';
-  ctx.stroke();
-  
-  lastX = coords.x;
-  lastY = coords.y;
+
+  // Pens report more samples than pointermove fires; use them all when available
+  const events = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+  (events.length ? events : [e]).forEach(event => {
+    const last = stroke.points[stroke.points.length - 1];
+    const point = addPoint(stroke, getCanvasCoords(elements.canvas, event));
+    drawSegment(ctx, stroke, last, point);
+  });
+}
+
+/**
+ * Stop drawing and record the finished stroke
+ */
+function stopDrawing(e) {
+  if (activeSelection?.pointerId === e.pointerId) {
+    // A pointer taken over by the browser (e.g. a scrolling touch) leaves no region
+    if (e.type === 'pointercancel') {
+      activeSelection = null;
+      redrawOverlay();
+    } else {
+      finishSelection();
+    }
+    return;
+  }
+
+  const stroke = activeStrokes.get(e.pointerId);
+  if (!stroke) return;
+
+  activeStrokes.delete(e.pointerId);
+
+  if (stroke.kind !== 'freehand' && stroke.points.length < 2) {
+    // A click without a drag makes no shape
+    redrawWithActive();
+    return;
+  }
+
+  // Single taps leave no segment behind, so draw them as a dot
+  if (stroke.points.length === 1) {
+    drawStroke(elements.canvas.getContext('2d'), stroke);
+  }
+
+  state = addStroke(state, stroke);
+  drawingChanged();
+}
+
+/**
+ * Grow the lasso or move the rectangle's far corner
+ */
+function extendSelection(e) {
+  const { x, y } = getCanvasCoords(elements.canvas, e);
+  const { region } = activeSelection;
+  region.points = region.kind === 'rect' ? [region.points[0], { x, y }] : [...region.points, { x, y }];
+  redrawOverlay();
+}
+
+/**
+ * Keep a finished selection as a region and caption it
+ */
+function finishSelection() {
+  const { region } = activeSelection;
+  activeSelection = null;
+
+  if (isUsableRegion(region)) {
+    state = addRegion(state, region);
+    captionRegion(region);
+  }
+  redrawOverlay();
+  render(elements, state);
+}
+
+/**
+ * Caption just the selected part of the drawing and pin the result as its label
+ */
+async function captionRegion(region) {
+  regionRequests.get(region.id)?.abort();
+  const controller = new AbortController();
+  regionRequests.set(region.id, controller);
+
+  state = updateRegion(state, region.id, { status: 'loading' });
+  redrawOverlay();
+
+  try {
+    const prepared = prepareImage(maskedRegionCanvas(captionSource(), region), {
+      padding: prefs.cropPadding,
+      maxSize: prefs.maxImageSize,
+      format: prefs.imageFormat,
+      quality: prefs.jpegQuality
+    });
+    const { caption } = await captionImage(prepared.dataURL, {
+      signal: controller.signal,
+      backendId: state.backendId,
+      prompt: buildRegionPrompt()
+    });
+    state = updateRegion(state, region.id, { label: caption, status: 'done' });
+  } catch (error) {
+    if (error.name === 'AbortError') return;
+    console.error('Region caption failed:', error);
+    state = updateRegion(state, region.id, { status: 'error' });
+  } finally {
+    if (regionRequests.get(region.id) === controller) regionRequests.delete(region.id);
+    redrawOverlay();
+  }
 }
 
 /**
- * Stop drawing
+ * Regions that have a label
  */
-function stopDrawing() {
-  isDrawing = false;
+function labelledRegions() {
+  return state.regions.filter(region => region.status === 'done' && region.label);
+}
+
+/**
+ * Re-caption every region, then describe the whole scene from their labels
+ */
+async function captionAllRegions() {
+  if (state.regions.length === 0) return;
+
+  await Promise.all(state.regions.map(captionRegion));
+  if (labelledRegions().length > 0) {
+    processImage('scene');
+  }
+}
+
+/**
+ * Drop all regions and cancel their requests
+ */
+function removeRegions() {
+  regionRequests.forEach(controller => controller.abort());
+  regionRequests.clear();
+  state = clearRegions(state);
+  redrawOverlay();
+  render(elements, state);
+}
+
+/**
+ * Use an image file as the locked background photo to trace over
+ */
+async function setPhoto(file) {
+  try {
+    const background = await readImageFile(file);
+    await renderBackground(elements.background, background);
+    state = setBackground(state, background);
+    drawingChanged();
+  } catch (error) {
+    console.error('Could not load photo:', error);
+    alert(`Could not load photo: ${error.message}`);
+  }
+}
+
+/**
+ * Remove the background photo
+ */
+async function removePhoto() {
+  state = setBackground(state, null);
+  await renderBackground(elements.background, null);
+  drawingChanged();
+}
+
+/**
+ * Switch between captioning the strokes only and the strokes with the photo
+ */
+function togglePhotoCaption() {
+  state = setIncludeBackground(state, !state.includeBackground);
+  drawingChanged();
+}
+
+/**
+ * Take an image dropped on the canvas
+ */
+function handleDrop(e) {
+  e.preventDefault();
+  elements.canvasContainer.classList.remove('dropping');
+  const [file] = e.dataTransfer.files;
+  if (file) setPhoto(file);
+}
+
+/**
+ * Take an image pasted from the clipboard
+ */
+function handlePaste(e) {
+  // Pasting into a text field is typing, not a new photo
+  if (e.target.closest?.('input, textarea')) return;
+  const file = Array.from(e.clipboardData.files).find(item => item.type.startsWith('image/'));
+  if (!file) return;
+  e.preventDefault();
+  setPhoto(file);
 }
 
 /**
  * Clear canvas
  */
 function clearCanvas() {
-  const ctx = elements.canvas.getContext('2d');
-  ctx.clearRect(0, 0, elements.canvas.width, elements.canvas.height);
+  state = clearStrokes(state);
+  redraw();
+  removeRegions();
+  drawingChanged();
   
   // Clear caption too
   state = setCaption(state, '');
@@ -81,37 +490,673 @@ function clearCanvas() {
 }
 
 /**
- * Convert canvas to base64 image data
+ * Undo the last drawing change
+ */
+function undoDrawing() {
+  state = undo(state);
+  redraw();
+  drawingChanged();
+}
+
+/**
+ * Redo the last undone drawing change
+ */
+function redoDrawing() {
+  state = redo(state);
+  redraw();
+  drawingChanged();
+}
+
+/**
+ * Switch the active tool
+ */
+function selectTool(tool) {
+  state = setTool(state, tool);
+  render(elements, state);
+}
+
+/**
+ * Change drawing color
+ */
+function selectColor(color) {
+  state = setColor(state, color);
+  render(elements, state);
+}
+
+/**
+ * Change brush size
+ */
+function selectBrushSize(size) {
+  state = setBrushSize(state, size);
+  render(elements, state);
+}
+
+/**
+ * Toggle live captioning
+ */
+function toggleLive() {
+  state = setLive(state, !state.live);
+  render(elements, state);
+  clearTimeout(liveTimer);
+  if (state.live) scheduleLiveCaption();
+}
+
+/**
+ * Switch vision backend
+ */
+function selectBackend(backendId) {
+  state = setBackend(state, backendId);
+  render(elements, state);
+}
+
+/**
+ * Whether captions should fire automatically (live mode or a game round)
+ */
+function isAutoCaptioning() {
+  return state.live || isPlaying(state);
+}
+
+/**
+ * Caption once the drawing has been left alone for a moment
+ */
+function scheduleLiveCaption() {
+  clearTimeout(liveTimer);
+  if (!isAutoCaptioning() || activeStrokes.size > 0 || state.strokes.length === 0) return;
+  if (state.captionRevision === state.revision) return;
+  liveTimer = setTimeout(() => processImage(), isPlaying(state) ? prefs.gameDelayMs : prefs.liveDelayMs);
+}
+
+/**
+ * React to any change in the recorded strokes
+ */
+function drawingChanged() {
+  // When captioning automatically, a caption for an older drawing is no longer worth waiting for
+  if (isAutoCaptioning() && inFlight && inFlight.revision !== state.revision) {
+    inFlight.controller.abort();
+    inFlight = null;
+    state = resetToIdle(state);
+  }
+
+  render(elements, state);
+  refreshReplay();
+  scheduleLiveCaption();
+}
+
+/**
+ * Start a new Pictionary round, or give up on the current one
+ */
+function toggleGame() {
+  if (isPlaying(state)) {
+    finishRound(false);
+    return;
+  }
+
+  inFlight?.controller.abort();
+  inFlight = null;
+
+  state = startRound(state, pickTarget(state.game?.target.word), Date.now());
+  state = resetToIdle(state);
+  redraw();
+  render(elements, state);
+
+  clearInterval(roundTimer);
+  roundTimer = setInterval(tickRound, 250);
+}
+
+/**
+ * Update the countdown and end the round when time runs out
+ */
+function tickRound() {
+  if (!isPlaying(state)) return;
+  if (Date.now() - state.game.startedAt >= prefs.gameRoundMs) {
+    finishRound(false);
+  } else {
+    updateGameStatus(elements, state.game, prefs.gameRoundMs);
+  }
+}
+
+/**
+ * End the round, score it and save it for review
+ */
+function finishRound(won) {
+  clearInterval(roundTimer);
+  clearTimeout(liveTimer);
+
+  const now = Date.now();
+  const elapsed = now - state.game.startedAt;
+  const score = won ? scoreRound(elapsed, prefs.gameRoundMs) : 0;
+  state = endRound(state, { won, score, now });
+  render(elements, state);
+
+  const { game } = state;
+  saveGameRound({
+    target: game.target.word,
+    startedAt: game.startedAt,
+    finishedAt: game.finishedAt,
+    won,
+    recognizedAfterMs: won ? elapsed : null,
+    score,
+    guesses: game.guesses,
+    strokes: state.strokes,
+    model: getBackend(state.backendId).model
+  });
+}
+
+/**
+ * Reload saved game rounds from the database
+ */
+async function refreshRounds() {
+  try {
+    state = setRounds(state, await listRounds());
+    render(elements, state);
+  } catch (error) {
+    console.warn('Could not load game rounds:', error);
+  }
+}
+
+/**
+ * Save a finished round
+ */
+async function saveGameRound(round) {
+  try {
+    await saveRound(round);
+    await refreshRounds();
+  } catch (error) {
+    console.warn('Could not save game round:', error);
+  }
+}
+
+/**
+ * Put a saved round's drawing back on the canvas for review
+ */
+function handleRoundClick(e) {
+  const item = e.target.closest('.roundItem');
+  if (!item || isPlaying(state)) return;
+
+  const round = state.rounds.find(entry => entry.id === Number(item.dataset.id));
+  if (!round) return;
+
+  state = commitStrokes(state, round.strokes);
+  state = setCaption(state, round.guesses.map(guess => guess.text).join(' → '));
+  redraw();
+  drawingChanged();
+}
+
+/**
+ * Record an AI guess for the current round, ending it on a match
+ */
+function handleGuess(guess) {
+  const correct = matchesTarget(guess, state.game.target);
+  state = addGuess(state, guess, correct, Date.now());
+  if (correct) {
+    finishRound(true);
+  } else {
+    render(elements, state);
+  }
+}
+
+/**
+ * Start a telephone chain from the current drawing, or stop the running one
+ */
+async function toggleChain() {
+  if (chainController) {
+    chainController.abort();
+    return;
+  }
+  if (state.strokes.length === 0) return;
+
+  const controller = new AbortController();
+  chainController = controller;
+  state = startChain(state, Date.now());
+  render(elements, state);
+
+  try {
+    await runChain({
+      image: canvasToDataURL(),
+      hops: state.chain.hops,
+      backendId: state.backendId,
+      signal: controller.signal,
+      onStep: (step) => {
+        state = setChainStep(state, step);
+        render(elements, state);
+      }
+    });
+    state = finishChain(state, 'done');
+  } catch (error) {
+    if (error.name !== 'AbortError') console.error('Telephone chain failed:', error);
+    state = finishChain(state, error.name === 'AbortError' ? 'stopped' : 'error');
+  } finally {
+    chainController = null;
+    render(elements, state);
+  }
+}
+
+/**
+ * Download the chain timeline as JSON
+ */
+async function exportChain() {
+  if (!state.chain) return;
+  const bundle = await buildChainBundle(state.chain);
+  const stamp = bundle.exportedAt.slice(0, 19).replace(/[:T]/g, '-');
+  downloadFile(`telephone-${stamp}.json`, JSON.stringify(bundle, null, 2));
+}
+
+/**
+ * Reload saved captions from the database
+ */
+async function refreshGallery() {
+  try {
+    state = setGallery(state, await listEntries());
+    render(elements, state);
+  } catch (error) {
+    console.warn('Could not load caption history:', error);
+  }
+}
+
+/**
+ * Save a processed drawing to the history and link it to the caption it produced
+ */
+async function saveToGallery(entry, revision) {
+  try {
+    const id = await saveEntry(entry);
+    if (state.captionRevision === revision && state.captionEntryId === null) {
+      state = setCaptionEntry(state, id);
+      // An alternative may have been accepted while the entry was being written
+      if (state.acceptedIndex !== entry.acceptedIndex) {
+        await updateEntry(id, { caption: state.caption, acceptedIndex: state.acceptedIndex });
+      }
+    }
+    await refreshGallery();
+  } catch (error) {
+    console.warn('Could not save caption to history:', error);
+  }
+}
+
+/**
+ * Point a cached caption at the history entry saved for it, restoring the
+ * alternative accepted there; save a new entry when there is none (it may
+ * have been deleted, or the caption was cached by a region or chain request)
+ */
+async function linkCachedCaption(entry, revision) {
+  let existing;
+  try {
+    existing = await findEntryByCacheKey(entry.cacheKey);
+  } catch (error) {
+    console.warn('Could not load caption history:', error);
+    return;
+  }
+  if (!existing) {
+    await saveToGallery(entry, revision);
+    return;
+  }
+  if (state.captionRevision !== revision || state.captionEntryId !== null) return;
+
+  state = setCaptionEntry(state, existing.id);
+  if (state.alternatives.length && existing.acceptedIndex < state.alternatives.length) {
+    state = acceptAlternative(state, existing.acceptedIndex);
+  }
+  render(elements, state);
+}
+
+/**
+ * Accept one of the ranked alternatives as the caption
+ */
+async function chooseAlternative(index) {
+  state = acceptAlternative(state, index);
+  render(elements, state);
+
+  if (state.captionEntryId === null) return;
+  try {
+    await updateEntry(state.captionEntryId, { caption: state.caption, acceptedIndex: state.acceptedIndex });
+    await refreshGallery();
+  } catch (error) {
+    console.warn('Could not update caption history:', error);
+  }
+}
+
+/**
+ * Toggle asking for ranked alternatives
+ */
+function toggleMulti() {
+  state = setMulti(state, !state.multi);
+  render(elements, state);
+}
+
+/**
+ * Show or hide the replay panel
+ */
+function toggleReplay() {
+  if (replay.playing) pauseReplay();
+  state = setReplayOpen(state, !state.replayOpen);
+  render(elements, state);
+
+  if (state.replayOpen) {
+    const { width, height } = replaySize(elements.canvas.width, elements.canvas.height);
+    elements.replayCanvas.width = width;
+    elements.replayCanvas.height = height;
+    replay.timeline = null;
+    refreshReplay();
+  }
+}
+
+/**
+ * Rebuild the replay timeline from the current strokes and caption log
+ */
+function refreshReplay() {
+  if (!state.replayOpen || replay.playing || replay.recording) return;
+
+  // Follow the drawing as it grows unless the user has scrubbed back
+  const atEnd = !replay.timeline || replay.position >= replay.timeline.duration;
+  replay.timeline = createTimeline(state.strokes, state.captionLog, prefs.replayMaxGapMs);
+  updateReplayCaptions(elements, state.captionLog, replay.timeline);
+  drawReplay(atEnd ? replay.timeline.duration : Math.min(replay.position, replay.timeline.duration));
+}
+
+/**
+ * Draw the replay as it stood at a position in ms
+ */
+function drawReplay(position) {
+  const { timeline } = replay;
+  const time = timeline.toTime(position);
+  const entry = captionAt(state.captionLog, time);
+  replay.position = position;
+
+  renderReplayFrame(elements.replayCanvas, {
+    strokes: strokesAt(state.strokes, time),
+    background: state.background ? elements.background : null,
+    caption: entry?.caption
+  });
+  updateReplayPosition(elements, {
+    position,
+    duration: timeline.duration,
+    playing: replay.playing,
+    recording: replay.recording,
+    current: state.captionLog.indexOf(entry)
+  });
+}
+
+/**
+ * Play the replay from the scrubber position (or from the start once finished)
+ */
+function playReplay() {
+  const { duration } = replay.timeline;
+  const from = replay.position >= duration ? 0 : replay.position;
+  const startedAt = performance.now() - from;
+  replay.playing = true;
+
+  const step = () => {
+    const position = Math.min(duration, performance.now() - startedAt);
+    if (position >= duration) replay.playing = false;
+    drawReplay(position);
+    if (replay.playing) replay.frame = requestAnimationFrame(step);
+  };
+  step();
+}
+
+/**
+ * Stop playback where it is
+ */
+function pauseReplay() {
+  cancelAnimationFrame(replay.frame);
+  replay.playing = false;
+  drawReplay(replay.position);
+}
+
+/**
+ * Jump to a scrubber position
+ */
+function scrubReplay(e) {
+  if (replay.playing) pauseReplay();
+  drawReplay(Number(e.target.value));
+}
+
+/**
+ * Jump to the moment a listed caption was requested
+ */
+function handleReplayCaptionClick(e) {
+  const item = e.target.closest('li[data-index]');
+  if (!item) return;
+  const entry = state.captionLog[Number(item.dataset.index)];
+  if (replay.playing) pauseReplay();
+  drawReplay(replay.timeline.toPosition(entry.requestedAt));
+}
+
+/**
+ * Record the whole replay from the canvas stream and download it as WebM
+ */
+async function exportReplay() {
+  if (replay.playing) pauseReplay();
+  replay.recording = true;
+
+  try {
+    const blob = await recordReplay(elements.replayCanvas, {
+      duration: replay.timeline.duration,
+      drawFrame: drawReplay,
+      fps: prefs.replayFps
+    });
+    downloadFile('replay.webm', blob);
+  } catch (error) {
+    console.error('Replay recording failed:', error);
+    alert(`Could not record the replay: ${error.message}`);
+  } finally {
+    replay.recording = false;
+    refreshReplay();
+  }
+}
+
+/**
+ * Show or hide the history panel
+ */
+function toggleGallery() {
+  state = setGalleryOpen(state, !state.galleryOpen);
+  render(elements, state);
+}
+
+/**
+ * Handle restore/delete clicks inside the history list
+ */
+async function handleGalleryClick(e) {
+  const button = e.target.closest('button[data-action]');
+  if (!button) return;
+
+  const id = Number(button.closest('.galleryItem').dataset.id);
+  const entry = state.gallery.find(item => item.id === id);
+  if (!entry) return;
+
+  if (button.dataset.action === 'restore') {
+    // Entries saved before photos were kept restore without one
+    const background = entry.background || null;
+    state = setBackground(state, background);
+    await renderBackground(elements.background, background);
+    state = commitStrokes(state, entry.strokes);
+    state = setCaption(state, entry.caption);
+    state = setAlternatives(state, entry.alternatives || [], entry.acceptedIndex || 0);
+    state = setCaptionEntry(state, entry.id);
+    redraw();
+    drawingChanged();
+  } else if (button.dataset.action === 'delete') {
+    try {
+      await deleteEntry(id);
+      await refreshGallery();
+    } catch (error) {
+      console.error('Could not delete history entry:', error);
+      alert(`Could not delete this caption: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Download the whole caption history as one JSON file
+ */
+async function exportGallery() {
+  try {
+    const bundle = await exportBundle();
+    const stamp = bundle.exportedAt.slice(0, 19).replace(/[:T]/g, '-');
+    downloadFile(`captions-${stamp}.json`, JSON.stringify(bundle, null, 2));
+  } catch (error) {
+    console.error('Could not export history:', error);
+    alert(`Could not export the history: ${error.message}`);
+  }
+}
+
+/**
+ * Size and caption metadata written into exports
+ */
+function drawingMeta() {
+  return {
+    width: elements.canvas.width,
+    height: elements.canvas.height,
+    caption: state.caption
+  };
+}
+
+/**
+ * Download the drawing as SVG paths
+ */
+function exportSVG() {
+  downloadFile('drawing.svg', strokesToSVG(state.strokes, drawingMeta()), 'image/svg+xml');
+}
+
+/**
+ * Download the drawing, over any background photo, as a PNG with the caption underneath
+ */
+function exportPNG() {
+  const flattened = compositeLayers([elements.background, elements.canvas]);
+  captionedCanvas(flattened, state.caption).toBlob(blob => {
+    downloadFile('drawing.png', blob);
+  }, 'image/png');
+}
+
+/**
+ * Download the drawing in the JSON stroke format
+ */
+function exportJSON() {
+  downloadFile('drawing.json', serializeDrawing(state.strokes, drawingMeta()));
+}
+
+/**
+ * Load a drawing from a JSON stroke file (undoable)
+ */
+async function importJSON(e) {
+  const [file] = e.target.files;
+  e.target.value = '';
+  if (!file) return;
+
+  try {
+    const drawing = parseDrawing(await file.text());
+    state = commitStrokes(state, drawing.strokes);
+    // A drawing without a caption counts as uncaptioned, so live mode picks it up
+    state = setCaption(state, drawing.caption, drawing.caption ? state.revision : -1);
+    redraw();
+    drawingChanged();
+  } catch (error) {
+    console.error('Import failed:', error);
+    alert(`Could not import ${file.name}: ${error.message}`);
+  }
+}
+
+/**
+ * Convert canvas to base64 image data, cropped and compressed for the model
  */
 function canvasToDataURL() {
-  return elements.canvas.toDataURL('image/png');
+  const prepared = prepareImage(captionSource(), {
+    padding: prefs.cropPadding,
+    maxSize: prefs.maxImageSize,
+    format: prefs.imageFormat,
+    quality: prefs.jpegQuality
+  });
+
+  const saved = prepared.originalBytes - prepared.bytes;
+  const percent = Math.round((saved / prepared.originalBytes) * 100);
+  console.log(`Prepared image: ${formatBytes(prepared.originalBytes)} → ${formatBytes(prepared.bytes)} (${percent}% smaller)`);
+  updateDebugPreview(elements, prepared);
+
+  return prepared.dataURL;
+}
+
+/**
+ * Kind of caption request the current settings call for
+ */
+function defaultMode() {
+  if (isPlaying(state)) return 'guess';
+  return state.multi ? 'alternatives' : 'caption';
 }
 
 /**
  * Process image with AI
+ * Set refresh to ask the model again even when the answer is cached
  */
-async function processImage() {
-  // Prevent multiple simultaneous requests
-  if (state.status === 'loading') {
-    return;
+async function processImage(mode = defaultMode(), { refresh = false } = {}) {
+  clearTimeout(liveTimer);
+  const { revision, backendId } = state;
+  const round = state.game;
+  const requestedAt = Date.now();
+  
+  // Only one request at a time: keep a matching one, cancel one for an older drawing or backend
+  if (inFlight) {
+    const matches = inFlight.revision === revision
+      && inFlight.backendId === backendId
+      && inFlight.mode === mode;
+    if (matches) return;
+    inFlight.controller.abort();
   }
   
+  const request = { controller: new AbortController(), revision, backendId, mode };
+  inFlight = request;
+  
   try {
     // Set loading state
     state = setLoading(state);
     render(elements, state);
     
-    // Get image data
+    // Get image data, plus what the history needs about this drawing
     const imageData = canvasToDataURL();
+    const strokes = state.strokes;
+    const background = state.background;
+    const thumbnail = canvasThumbnail(captionSource());
     
     // Fetch AI caption
-    const caption = await captionImage(imageData);
+    const { caption, model, prompt, cached, key } = await captionImage(imageData, {
+      signal: request.controller.signal,
+      backendId,
+      prompt: PROMPT_BUILDERS[mode](),
+      refresh
+    });
+    
+    // Never let a late answer for an older drawing replace a newer caption
+    if (request.controller.signal.aborted || revision < state.captionRevision) return;
     
     // Update state with response
-    state = setCaption(state, caption);
+    state = setCaption(state, caption, revision, cached);
+    if (mode === 'alternatives') {
+      state = setAlternatives(state, parseAlternatives(caption));
+    }
+    state = logCaption(state, { requestedAt, at: Date.now(), caption: state.caption, mode, model, cached });
     render(elements, state);
+    refreshReplay();
+    
+    // Game guesses are kept with their round rather than in the history
+    if (mode === 'guess') {
+      if (isPlaying(state) && state.game.startedAt === round.startedAt) handleGuess(caption);
+    } else {
+      const entry = {
+        thumbnail,
+        caption: state.caption,
+        model,
+        prompt,
+        strokes,
+        background,
+        alternatives: state.alternatives,
+        acceptedIndex: state.acceptedIndex,
+        cacheKey: key
+      };
+      if (cached) linkCachedCaption(entry, revision);
+      else saveToGallery(entry, revision);
+    }
     
   } catch (error) {
+    if (error.name === 'AbortError') return;
+    
     console.error('AI request failed:', error);
     state = setError(state);
     render(elements, state);
@@ -123,6 +1168,8 @@ async function processImage() {
         render(elements, state);
       }
     }, 3000);
+  } finally {
+    if (inFlight === request) inFlight = null;
   }
 }
 
@@ -131,22 +1178,104 @@ async function processImage() {
  */
 function setupEventListeners() {
   // Canvas drawing events
-  elements.canvas.addEventListener('mousedown', startDrawing);
-  elements.canvas.addEventListener('mousemove', draw);
-  elements.canvas.addEventListener('mouseup', stopDrawing);
-  elements.canvas.addEventListener('mouseout', stopDrawing);
+  elements.canvas.addEventListener('pointerdown', startDrawing);
+  elements.canvas.addEventListener('pointermove', draw);
+  elements.canvas.addEventListener('pointerup', stopDrawing);
+  elements.canvas.addEventListener('pointercancel', stopDrawing);
   
   // Tool selection
+  elements.toolButtons.forEach(button => {
+    button.addEventListener('click', () => selectTool(button.dataset.tool));
+  });
+  elements.colorInput.addEventListener('input', (e) => selectColor(e.target.value));
+  elements.sizeInput.addEventListener('input', (e) => selectBrushSize(parseInt(e.target.value, 10)));
   elements.clearTool.addEventListener('click', clearCanvas);
   
+  // History
+  elements.undoBtn.addEventListener('click', undoDrawing);
+  elements.redoBtn.addEventListener('click', redoDrawing);
+  
   // Process button
-  elements.processBtn.addEventListener('click', processImage);
+  elements.processBtn.addEventListener('click', (e) => processImage(defaultMode(), { refresh: e.shiftKey }));
+  elements.liveToggle.addEventListener('click', toggleLive);
+  elements.multiToggle.addEventListener('click', toggleMulti);
+  elements.alternativesList.addEventListener('click', (e) => {
+    const item = e.target.closest('[data-index]');
+    if (item) chooseAlternative(Number(item.dataset.index));
+  });
+  elements.backendSelect.addEventListener('change', (e) => selectBackend(e.target.value));
+  
+  // Export / import
+  elements.exportSvg.addEventListener('click', exportSVG);
+  elements.exportPng.addEventListener('click', exportPNG);
+  elements.exportJson.addEventListener('click', exportJSON);
+  elements.importBtn.addEventListener('click', () => elements.importInput.click());
+  elements.importInput.addEventListener('change', importJSON);
+  
+  // Background photo to trace over
+  elements.photoBtn.addEventListener('click', () => elements.photoInput.click());
+  elements.photoInput.addEventListener('change', (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (file) setPhoto(file);
+  });
+  elements.photoToggle.addEventListener('click', togglePhotoCaption);
+  elements.removePhotoBtn.addEventListener('click', removePhoto);
+  elements.canvasContainer.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    elements.canvasContainer.classList.add('dropping');
+  });
+  elements.canvasContainer.addEventListener('dragleave', () => {
+    elements.canvasContainer.classList.remove('dropping');
+  });
+  elements.canvasContainer.addEventListener('drop', handleDrop);
+  document.addEventListener('paste', handlePaste);
+  
+  // Pictionary
+  elements.gameBtn.addEventListener('click', toggleGame);
+  elements.roundList.addEventListener('click', handleRoundClick);
+  
+  // Regions
+  elements.captionRegionsBtn.addEventListener('click', captionAllRegions);
+  elements.clearRegionsBtn.addEventListener('click', removeRegions);
+  
+  // Telephone chain
+  elements.chainBtn.addEventListener('click', toggleChain);
+  elements.chainHops.addEventListener('change', (e) => {
+    state = setChainHops(state, parseInt(e.target.value, 10));
+    render(elements, state);
+  });
+  elements.chainExport.addEventListener('click', exportChain);
+  
+  // History panel
+  elements.galleryToggle.addEventListener('click', toggleGallery);
+  elements.galleryList.addEventListener('click', handleGalleryClick);
+  elements.galleryExport.addEventListener('click', exportGallery);
+  
+  // Replay panel
+  elements.replayToggle.addEventListener('click', toggleReplay);
+  elements.replayPlay.addEventListener('click', () => (replay.playing ? pauseReplay() : playReplay()));
+  elements.replayScrubber.addEventListener('input', scrubReplay);
+  elements.replayCaptions.addEventListener('click', handleReplayCaptionClick);
+  elements.replayExport.addEventListener('click', exportReplay);
   
   // Keyboard shortcuts
   document.addEventListener('keydown', (e) => {
-    if (e.code === 'Space') {
+    const mod = e.ctrlKey || e.metaKey;
+    const typing = e.target.matches('input, select, textarea');
+    if (!mod && !typing && TOOL_KEYS[e.code]) {
+      selectTool(TOOL_KEYS[e.code]);
+    } else if (!mod && !typing && (e.code === 'BracketLeft' || e.code === 'BracketRight')) {
+      selectBrushSize(state.brushSize + (e.code === 'BracketRight' ? 1 : -1));
+    } else if (mod && e.code === 'KeyZ') {
+      e.preventDefault();
+      e.shiftKey ? redoDrawing() : undoDrawing();
+    } else if (mod && e.code === 'KeyY') {
+      e.preventDefault();
+      redoDrawing();
+    } else if (e.code === 'Space') {
       e.preventDefault();
-      processImage();
+      processImage(defaultMode(), { refresh: e.shiftKey });
     }
   });
 }
@@ -156,8 +1285,11 @@ function setupEventListeners() {
  */
 function init() {
   elements = getElements();
+  populateBackendSelect(elements, backends);
   setupEventListeners();
   render(elements, state);
+  refreshGallery();
+  refreshRounds();
 }
 
 // Start the app when DOM is loaded
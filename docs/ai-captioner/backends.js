@@ -0,0 +1,86 @@
+// Registry of vision backends used by captionImage()
+//
+// Proxy backends declare the Replicate model id, how the image and prompt map
+// into `input`, and how to pull the caption text out of the response.
+// Offline backends provide run() instead and never touch the network.
+
+/**
+ * Join Replicate's token-array output, or pass a string output or plain string response through
+ */
+function joinOutput(data) {
+  if (Array.isArray(data.output)) return data.output.join('');
+  if (typeof data.output === 'string') return data.output;
+  if (typeof data === 'string') return data;
+  throw new Error('Unexpected response shape');
+}
+
+/**
+ * Wait for a delay unless the signal aborts first
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('Aborted', 'AbortError'));
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new DOMException('Aborted', 'AbortError'));
+    }, { once: true });
+  });
+}
+
+const MOCK_GUESSES = ['cat', 'house', 'tree', 'a face', 'boat', 'sun over hills', 'bicycle', 'fish', 'flower', 'scribble'];
+
+export const backends = [
+  {
+    id: 'claude-4-sonnet',
+    label: 'Claude 4 Sonnet',
+    model: 'anthropic/claude-4-sonnet',
+    imageField: 'image',
+    buildInput: ({ image, prompt }) => ({ image, prompt, max_tokens: 1024 }),
+    parseOutput: joinOutput
+  },
+  {
+    id: 'claude-3.7-sonnet',
+    label: 'Claude 3.7 Sonnet',
+    model: 'anthropic/claude-3.7-sonnet',
+    imageField: 'image',
+    buildInput: ({ image, prompt }) => ({ image, prompt, max_tokens: 1024 }),
+    parseOutput: joinOutput
+  },
+  {
+    id: 'llava-13b',
+    label: 'LLaVA 13B',
+    model: 'yorickvp/llava-13b',
+    imageField: 'image',
+    buildInput: ({ image, prompt }) => ({ image, prompt, max_tokens: 256, temperature: 0.2 }),
+    parseOutput: joinOutput
+  },
+  {
+    id: 'mock',
+    label: 'Offline mock',
+    model: 'mock',
+    offline: true,
+    // Picks a stable guess from the image bytes so the same drawing gets the same caption
+    run: async ({ image, signal }) => {
+      await delay(400 + Math.random() * 400, signal);
+      let hash = 0;
+      for (let i = 0; i < image.length; i += 97) {
+        hash = (hash * 31 + image.charCodeAt(i)) >>> 0;
+      }
+      return MOCK_GUESSES[hash % MOCK_GUESSES.length];
+    }
+  }
+];
+
+export const DEFAULT_BACKEND_ID = backends[0].id;
+
+/**
+ * Look up a backend by id, falling back to the default
+ */
+export function getBackend(id) {
+  return backends.find(backend => backend.id === id)
+    || backends.find(backend => backend.id === DEFAULT_BACKEND_ID);
+}
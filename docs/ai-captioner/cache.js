@@ -0,0 +1,82 @@
+// Caption cache kept in localStorage
+//
+// A request is identified by a SHA-256 hash of the prepared image bytes
+// together with the model and prompt, so asking again about an unchanged
+// drawing is answered locally instead of spending proxy quota.
+
+import { prefs } from './prefs.js';
+
+const STORAGE_KEY = 'ai-captioner-cache';
+
+let entries = null; // key -> { caption, model, at }, loaded on first use
+
+/**
+ * Bytes of an image: decoded base64 for data URLs, the URL text for hosted images
+ */
+function imageBytes(image) {
+  if (!image.startsWith('data:')) return new TextEncoder().encode(image);
+  const binary = atob(image.slice(image.indexOf(',') + 1));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * Hex SHA-256 key for an image, model and prompt
+ */
+export async function cacheKey({ image, model, prompt }) {
+  const pixels = imageBytes(image);
+  const suffix = new TextEncoder().encode(`\n${model}\n${prompt}`);
+  const bytes = new Uint8Array(pixels.length + suffix.length);
+  bytes.set(pixels);
+  bytes.set(suffix, pixels.length);
+
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Read the cache from localStorage once
+ */
+function load() {
+  if (entries) return entries;
+  try {
+    entries = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    console.warn('Could not read caption cache:', error);
+    entries = {};
+  }
+  return entries;
+}
+
+/**
+ * Write the cache back, dropping the least recently used entries over the limit
+ */
+function save() {
+  const keys = Object.keys(entries).sort((a, b) => entries[b].at - entries[a].at);
+  keys.slice(prefs.cacheSize).forEach(key => delete entries[key]);
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } catch (error) {
+    console.warn('Could not save caption cache:', error);
+  }
+}
+
+/**
+ * Cached caption for a key, or null
+ */
+export function getCachedCaption(key, now = Date.now()) {
+  const entry = load()[key];
+  if (!entry) return null;
+  entry.at = now;
+  save();
+  return entry;
+}
+
+/**
+ * Remember the caption for a key
+ */
+export function putCachedCaption(key, { caption, model }, now = Date.now()) {
+  load()[key] = { caption, model, at: now };
+  save();
+}
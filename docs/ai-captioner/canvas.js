@@ -0,0 +1,334 @@
+// Canvas rendering of recorded strokes
+
+import { pointWidth, strokeKind } from './strokes.js';
+import { regionPolygon, regionBounds } from './regions.js';
+
+// How far (per channel, 0-255) a pixel may differ and still be flood filled
+const FILL_TOLERANCE = 48;
+
+/**
+ * Run a drawing function with the stroke's compositing mode (erasers cut paint away)
+ */
+function withComposite(ctx, stroke, drawFn) {
+  ctx.save();
+  ctx.globalCompositeOperation = stroke.erase ? 'destination-out' : 'source-over';
+  drawFn();
+  ctx.restore();
+}
+
+/**
+ * Draw a single segment of a stroke
+ */
+export function drawSegment(ctx, stroke, from, to) {
+  withComposite(ctx, stroke, () => {
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(to.x, to.y);
+    ctx.strokeStyle = stroke.color;
+    ctx.lineWidth = (pointWidth(stroke, from) + pointWidth(stroke, to)) / 2;
+    ctx.lineCap = 'round';
+    ctx.stroke();
+  });
+}
+
+/**
+ * Draw a dot for strokes made of a single point
+ */
+function drawDot(ctx, stroke, point) {
+  withComposite(ctx, stroke, () => {
+    ctx.beginPath();
+    ctx.arc(point.x, point.y, pointWidth(stroke, point) / 2, 0, Math.PI * 2);
+    ctx.fillStyle = stroke.color;
+    ctx.fill();
+  });
+}
+
+/**
+ * Draw a freehand path
+ */
+function drawFreehand(ctx, stroke) {
+  const { points } = stroke;
+  if (points.length === 1) {
+    drawDot(ctx, stroke, points[0]);
+    return;
+  }
+
+  // Segments are drawn one by one so the width can follow pressure
+  for (let i = 1; i < points.length; i++) {
+    drawSegment(ctx, stroke, points[i - 1], points[i]);
+  }
+}
+
+/**
+ * Draw a line, rect or ellipse from its two corner points
+ */
+function drawShape(ctx, stroke) {
+  const [a, b = a] = stroke.points;
+  const kind = strokeKind(stroke);
+
+  ctx.save();
+  ctx.beginPath();
+  if (kind === 'line') {
+    ctx.moveTo(a.x, a.y);
+    ctx.lineTo(b.x, b.y);
+  } else if (kind === 'rect') {
+    ctx.rect(Math.min(a.x, b.x), Math.min(a.y, b.y), Math.abs(b.x - a.x), Math.abs(b.y - a.y));
+  } else {
+    const rx = Math.abs(b.x - a.x) / 2;
+    const ry = Math.abs(b.y - a.y) / 2;
+    ctx.ellipse((a.x + b.x) / 2, (a.y + b.y) / 2, rx, ry, 0, 0, Math.PI * 2);
+  }
+  ctx.strokeStyle = stroke.color;
+  ctx.lineWidth = stroke.width;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  ctx.stroke();
+  ctx.restore();
+}
+
+/**
+ * Resolve any CSS color to [r, g, b, a]
+ */
+function parseColor(color) {
+  const ctx = document.createElement('canvas').getContext('2d');
+  ctx.fillStyle = color;
+  ctx.fillRect(0, 0, 1, 1);
+  return Array.from(ctx.getImageData(0, 0, 1, 1).data);
+}
+
+/**
+ * Compute which pixels a flood fill from (x, y) covers
+ * Returns a mask with 1 for every filled pixel, or null if the seed is off canvas
+ */
+function floodMask(imageData, x, y) {
+  const { width, height, data } = imageData;
+  const sx = Math.floor(x);
+  const sy = Math.floor(y);
+  if (sx < 0 || sy < 0 || sx >= width || sy >= height) return null;
+
+  const seed = (sy * width + sx) * 4;
+  const target = data.slice(seed, seed + 4);
+  const matches = (i) => {
+    const offset = i * 4;
+    return Math.abs(data[offset] - target[0]) <= FILL_TOLERANCE
+      && Math.abs(data[offset + 1] - target[1]) <= FILL_TOLERANCE
+      && Math.abs(data[offset + 2] - target[2]) <= FILL_TOLERANCE
+      && Math.abs(data[offset + 3] - target[3]) <= FILL_TOLERANCE;
+  };
+
+  // Scanline fill: walk each row left and right, queueing the rows above and below
+  const mask = new Uint8Array(width * height);
+  const stack = [[sx, sy]];
+  while (stack.length) {
+    const [px, py] = stack.pop();
+    let left = px;
+    const row = py * width;
+    if (mask[row + left] || !matches(row + left)) continue;
+
+    while (left > 0 && !mask[row + left - 1] && matches(row + left - 1)) left--;
+    let right = px;
+    while (right < width - 1 && !mask[row + right + 1] && matches(row + right + 1)) right++;
+
+    for (let cx = left; cx <= right; cx++) {
+      mask[row + cx] = 1;
+      if (py > 0 && !mask[row - width + cx] && matches(row - width + cx)) stack.push([cx, py - 1]);
+      if (py < height - 1 && !mask[row + width + cx] && matches(row + width + cx)) stack.push([cx, py + 1]);
+    }
+  }
+  return mask;
+}
+
+/**
+ * Paint the masked pixels of a canvas with a color
+ */
+function paintMask(ctx, mask, color) {
+  const { width, height } = ctx.canvas;
+  const image = ctx.getImageData(0, 0, width, height);
+  const [r, g, b, a] = parseColor(color);
+  for (let i = 0; i < mask.length; i++) {
+    if (!mask[i]) continue;
+    image.data.set([r, g, b, a], i * 4);
+  }
+  ctx.putImageData(image, 0, 0);
+}
+
+/**
+ * Flood fill the region under the stroke's seed point
+ */
+function drawFill(ctx, stroke) {
+  const [seed] = stroke.points;
+  const { width, height } = ctx.canvas;
+  const mask = floodMask(ctx.getImageData(0, 0, width, height), seed.x, seed.y);
+  if (mask) paintMask(ctx, mask, stroke.color);
+}
+
+/**
+ * Draw a complete stroke
+ */
+export function drawStroke(ctx, stroke) {
+  if (stroke.points.length === 0) return;
+
+  const kind = strokeKind(stroke);
+  if (kind === 'fill') {
+    drawFill(ctx, stroke);
+  } else if (kind === 'freehand') {
+    drawFreehand(ctx, stroke);
+  } else {
+    drawShape(ctx, stroke);
+  }
+}
+
+// Painted fill layers by fill stroke, reused while the strokes under the fill and the canvas size stay the same
+const fillLayers = new WeakMap();
+
+/**
+ * Check that a cached layer was filled over exactly strokes[0..index)
+ */
+function sameStrokesBelow(below, strokes, index) {
+  if (below.length !== index) return false;
+  for (let i = 0; i < index; i++) {
+    if (below[i] !== strokes[i]) return false;
+  }
+  return true;
+}
+
+/**
+ * The pixels the fill at strokes[index] paints, as { mask, canvas }, flood filled on first use
+ * ctx, when given, already holds exactly the strokes below the fill
+ */
+function fillLayer(strokes, index, width, height, ctx = null) {
+  const stroke = strokes[index];
+  const cached = fillLayers.get(stroke);
+  if (cached && cached.width === width && cached.height === height && sameStrokesBelow(cached.below, strokes, index)) {
+    return cached;
+  }
+
+  const below = strokes.slice(0, index);
+  if (!ctx) {
+    const scratch = document.createElement('canvas');
+    scratch.width = width;
+    scratch.height = height;
+    renderStrokes(scratch, below);
+    ctx = scratch.getContext('2d');
+  }
+
+  const [seed] = stroke.points;
+  const mask = floodMask(ctx.getImageData(0, 0, width, height), seed.x, seed.y);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  if (mask) paintMask(canvas.getContext('2d'), mask, stroke.color);
+
+  const layer = { below, width, height, mask, canvas };
+  fillLayers.set(stroke, layer);
+  return layer;
+}
+
+/**
+ * Clear the canvas and redraw every stroke in order
+ */
+export function renderStrokes(canvas, strokes) {
+  const ctx = canvas.getContext('2d');
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  strokes.forEach((stroke, index) => {
+    if (strokeKind(stroke) === 'fill' && stroke.points.length) {
+      ctx.drawImage(fillLayer(strokes, index, canvas.width, canvas.height, ctx).canvas, 0, 0);
+    } else {
+      drawStroke(ctx, stroke);
+    }
+  });
+}
+
+/**
+ * Render only the pixels a fill stroke painted, as a separate canvas
+ */
+export function renderFillLayer(strokes, index, width, height) {
+  return fillLayer(strokes, index, width, height).canvas;
+}
+
+/**
+ * Find the topmost fill stroke covering a point, or null
+ */
+export function findFillAt(strokes, x, y, width, height) {
+  const px = Math.floor(x);
+  const py = Math.floor(y);
+  if (px < 0 || py < 0 || px >= width || py >= height) return null;
+
+  for (let i = strokes.length - 1; i >= 0; i--) {
+    if (strokeKind(strokes[i]) !== 'fill') continue;
+    const { mask } = fillLayer(strokes, i, width, height);
+    if (mask?.[py * width + px]) return strokes[i];
+  }
+  return null;
+}
+
+/**
+ * Outline a region polygon with a dashed line
+ */
+function outlineRegion(ctx, polygon, closed) {
+  ctx.beginPath();
+  polygon.forEach((p, i) => (i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)));
+  if (closed) ctx.closePath();
+  ctx.stroke();
+}
+
+/**
+ * Draw a region's label pinned to its top-left corner
+ */
+function drawRegionLabel(ctx, region) {
+  const text = region.status === 'loading' ? '…'
+    : region.status === 'error' ? 'error'
+    : region.label;
+  if (!text) return;
+
+  const bounds = regionBounds(region);
+  ctx.font = '13px ui-sans-serif, system-ui, sans-serif';
+  const width = ctx.measureText(text).width + 12;
+  const height = 20;
+  const x = Math.min(Math.max(0, bounds.x), ctx.canvas.width - width);
+  // Sit above the region when there is room, otherwise just inside it
+  const y = bounds.y >= height + 2 ? bounds.y - height - 2 : bounds.y + 2;
+
+  ctx.fillStyle = region.status === 'error' ? '#d73a49' : '#7a6cff';
+  ctx.fillRect(x, y, width, height);
+  ctx.fillStyle = 'white';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(text, x + 6, y + height / 2);
+}
+
+/**
+ * Draw region outlines, their labels, and any selection being dragged out
+ */
+export function renderOverlay(canvas, regions, selection = null) {
+  const ctx = canvas.getContext('2d');
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+  ctx.save();
+  ctx.lineWidth = 1;
+  ctx.setLineDash([4, 4]);
+  ctx.strokeStyle = '#7a6cff';
+  regions.forEach(region => outlineRegion(ctx, regionPolygon(region), true));
+  if (selection) {
+    ctx.strokeStyle = '#777';
+    outlineRegion(ctx, regionPolygon(selection), selection.kind === 'rect');
+  }
+  ctx.restore();
+
+  regions.forEach(region => drawRegionLabel(ctx, region));
+}
+
+/**
+ * Render a small JPEG thumbnail of a canvas on a white background
+ */
+export function canvasThumbnail(canvas, size = 96) {
+  const scale = size / Math.max(canvas.width, canvas.height);
+  const thumb = document.createElement('canvas');
+  thumb.width = Math.round(canvas.width * scale);
+  thumb.height = Math.round(canvas.height * scale);
+
+  const ctx = thumb.getContext('2d');
+  ctx.fillStyle = 'white';
+  ctx.fillRect(0, 0, thumb.width, thumb.height);
+  ctx.drawImage(canvas, 0, 0, thumb.width, thumb.height);
+  return thumb.toDataURL('image/jpeg', 0.8);
+}
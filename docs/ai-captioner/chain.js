@@ -0,0 +1,69 @@
+// Caption → image → caption "telephone" chains
+
+import { captionImage, generateImage } from './ai.js';
+import { getBackend } from './backends.js';
+
+/**
+ * Run a telephone chain starting from a drawing
+ *
+ * Hop 0 captions the drawing. Every later hop generates an image from the
+ * previous caption and captions that image. onStep receives each step as it
+ * fills in: { hop, image, caption, imageModel, captionModel, at }.
+ */
+export async function runChain({ image, hops, backendId, signal, onStep }) {
+  const backend = getBackend(backendId);
+  let step = { hop: 0, image, caption: null, imageModel: null, captionModel: null, at: Date.now() };
+  onStep(step);
+
+  for (let hop = 0; hop <= hops; hop++) {
+    if (hop > 0) {
+      const generated = await generateImage(step.caption, { signal, offline: backend.offline });
+      step = { hop, image: generated.image, caption: null, imageModel: generated.model, captionModel: null, at: Date.now() };
+      onStep(step);
+    }
+
+    const { caption, model } = await captionImage(step.image, { signal, backendId });
+    step = { ...step, caption, captionModel: model };
+    onStep(step);
+  }
+}
+
+/**
+ * Read a hosted image back as a data URL so exports don't depend on expiring links
+ */
+async function toDataURL(url) {
+  if (url.startsWith('data:')) return url;
+  try {
+    const blob = await (await fetch(url)).blob();
+    return await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  } catch (error) {
+    console.warn('Could not embed chain image, keeping its URL:', error);
+    return url;
+  }
+}
+
+/**
+ * Build an exportable timeline of a chain, with images embedded where possible
+ */
+export async function buildChainBundle(chain) {
+  const steps = await Promise.all(chain.steps.map(async step => ({
+    ...step,
+    sourceUrl: step.image.startsWith('data:') ? null : step.image,
+    image: await toDataURL(step.image)
+  })));
+
+  return {
+    format: 'ai-captioner-chain',
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    startedAt: chain.startedAt,
+    hops: chain.hops,
+    status: chain.status,
+    steps
+  };
+}
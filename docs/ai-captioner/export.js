@@ -0,0 +1,293 @@
+// Drawing export (SVG, captioned PNG, JSON) and JSON import
+
+import { pointWidth, strokeKind } from './strokes.js';
+import { renderFillLayer } from './canvas.js';
+
+const DRAWING_FORMAT = 'ai-captioner-drawing';
+const DRAWING_VERSION = 1;
+const CAPTION_FONT = 'italic 16px ui-sans-serif, -apple-system, Segoe UI, Roboto, Inter, system-ui, sans-serif';
+const CAPTION_LINE_HEIGHT = 24;
+const CAPTION_PADDING = 16;
+
+/**
+ * Escape text for use inside SVG markup
+ */
+function escapeXml(text) {
+  return text.replace(/[<>&"']/g, ch => ({
+    '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;'
+  })[ch]);
+}
+
+/**
+ * Round coordinates so exported files stay small and diff cleanly
+ */
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Build SVG for a line, rect or ellipse
+ */
+function shapeToSvg(stroke) {
+  const [a, b = a] = stroke.points;
+  const attrs = `stroke="${stroke.color}" stroke-width="${round(stroke.width)}"`;
+  const kind = strokeKind(stroke);
+
+  if (kind === 'line') {
+    return `<line x1="${round(a.x)}" y1="${round(a.y)}" x2="${round(b.x)}" y2="${round(b.y)}" ${attrs}/>`;
+  }
+  if (kind === 'rect') {
+    const x = round(Math.min(a.x, b.x));
+    const y = round(Math.min(a.y, b.y));
+    return `<rect x="${x}" y="${y}" width="${round(Math.abs(b.x - a.x))}" height="${round(Math.abs(b.y - a.y))}" ${attrs}/>`;
+  }
+  return `<ellipse cx="${round((a.x + b.x) / 2)}" cy="${round((a.y + b.y) / 2)}" rx="${round(Math.abs(b.x - a.x) / 2)}" ry="${round(Math.abs(b.y - a.y) / 2)}" ${attrs}/>`;
+}
+
+/**
+ * Build SVG paths for one freehand stroke, starting a new path whenever the width changes
+ */
+function freehandToSvg(stroke) {
+  const { points } = stroke;
+
+  if (points.length === 1) {
+    const [p] = points;
+    return `<circle cx="${round(p.x)}" cy="${round(p.y)}" r="${round(pointWidth(stroke, p) / 2)}" fill="${stroke.color}"/>`;
+  }
+
+  const paths = [];
+  let width = null;
+  let d = '';
+  for (let i = 1; i < points.length; i++) {
+    const from = points[i - 1];
+    const to = points[i];
+    const segmentWidth = round((pointWidth(stroke, from) + pointWidth(stroke, to)) / 2);
+    if (segmentWidth !== width) {
+      if (d) paths.push({ width, d });
+      width = segmentWidth;
+      d = `M${round(from.x)} ${round(from.y)}`;
+    }
+    d += ` L${round(to.x)} ${round(to.y)}`;
+  }
+  paths.push({ width, d });
+
+  return paths
+    .map(path => `<path d="${path.d}" stroke="${stroke.color}" stroke-width="${path.width}"/>`)
+    .join('\n    ');
+}
+
+/**
+ * Build the SVG body for all strokes
+ *
+ * Fills have no vector form, so the pixels each one painted are embedded as an image.
+ * Eraser strokes become masks over everything drawn before them.
+ */
+function strokesToSvgBody(strokes, width, height) {
+  let body = '';
+  const masks = [];
+
+  strokes.forEach((stroke, index) => {
+    if (stroke.points.length === 0) return;
+    const kind = strokeKind(stroke);
+
+    if (stroke.erase) {
+      const id = `erase${masks.length}`;
+      masks.push(`<mask id="${id}" maskUnits="userSpaceOnUse" x="0" y="0" width="${width}" height="${height}">
+      <rect width="${width}" height="${height}" fill="white"/>
+      <g fill="none" stroke-linecap="round" stroke-linejoin="round">
+        ${freehandToSvg({ ...stroke, color: 'black' })}
+      </g>
+    </mask>`);
+      body = `<g mask="url(#${id})">\n    ${body}\n    </g>`;
+    } else if (kind === 'fill') {
+      const href = renderFillLayer(strokes, index, width, height).toDataURL('image/png');
+      body += `\n    <image href="${href}" width="${width}" height="${height}"/>`;
+    } else if (kind === 'freehand') {
+      body += `\n    ${freehandToSvg(stroke)}`;
+    } else {
+      body += `\n    ${shapeToSvg(stroke)}`;
+    }
+  });
+
+  return { body, defs: masks.join('\n    ') };
+}
+
+/**
+ * Split a caption into lines that fit the given width
+ */
+function wrapText(ctx, text, maxWidth) {
+  const lines = [];
+  let line = '';
+  text.split(/\s+/).filter(Boolean).forEach(word => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && ctx.measureText(candidate).width > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  });
+  if (line) lines.push(line);
+  return lines;
+}
+
+/**
+ * Measure caption lines using an offscreen canvas
+ */
+function layoutCaption(caption, width) {
+  if (!caption) return [];
+  const ctx = document.createElement('canvas').getContext('2d');
+  ctx.font = CAPTION_FONT;
+  return wrapText(ctx, caption, width - CAPTION_PADDING * 2);
+}
+
+/**
+ * Height of the caption block under the drawing
+ */
+function captionHeight(lines) {
+  return lines.length ? lines.length * CAPTION_LINE_HEIGHT + CAPTION_PADDING * 2 : 0;
+}
+
+/**
+ * Export strokes as an SVG document with the caption typeset underneath
+ */
+export function strokesToSVG(strokes, { width, height, caption = '' }) {
+  const lines = layoutCaption(caption, width);
+  const totalHeight = height + captionHeight(lines);
+  const text = lines.map((line, i) => {
+    const y = height + CAPTION_PADDING + (i + 0.75) * CAPTION_LINE_HEIGHT;
+    return `<text x="${width / 2}" y="${y}">${escapeXml(line)}</text>`;
+  }).join('\n    ');
+
+  const { body, defs } = strokesToSvgBody(strokes, width, height);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${totalHeight}" viewBox="0 0 ${width} ${totalHeight}">
+  <title>${escapeXml(caption)}</title>
+  <defs>
+    ${defs}
+  </defs>
+  <rect width="100%" height="100%" fill="white"/>
+  <g fill="none" stroke-linecap="round" stroke-linejoin="round">${body}
+  </g>
+  <g font-family="ui-sans-serif, system-ui, sans-serif" font-size="16" font-style="italic" fill="#222" text-anchor="middle">
+    ${text}
+  </g>
+</svg>
+`;
+}
+
+/**
+ * Render the canvas onto white with the caption typeset underneath
+ */
+export function captionedCanvas(canvas, caption = '') {
+  const lines = layoutCaption(caption, canvas.width);
+  const output = document.createElement('canvas');
+  output.width = canvas.width;
+  output.height = canvas.height + captionHeight(lines);
+
+  const ctx = output.getContext('2d');
+  ctx.fillStyle = 'white';
+  ctx.fillRect(0, 0, output.width, output.height);
+  ctx.drawImage(canvas, 0, 0);
+
+  ctx.font = CAPTION_FONT;
+  ctx.fillStyle = '#222';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  lines.forEach((line, i) => {
+    const y = canvas.height + CAPTION_PADDING + (i + 0.5) * CAPTION_LINE_HEIGHT;
+    ctx.fillText(line, output.width / 2, y);
+  });
+
+  return output;
+}
+
+/**
+ * Serialize a drawing to the JSON stroke format
+ */
+export function serializeDrawing(strokes, { width, height, caption = '' }) {
+  return JSON.stringify({
+    format: DRAWING_FORMAT,
+    version: DRAWING_VERSION,
+    width,
+    height,
+    caption,
+    strokes
+  }, null, 2);
+}
+
+/**
+ * Check that a value is a finite number
+ */
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Check that a value is a plain hex or rgb() color, safe to write into SVG attributes
+ */
+function isColor(value) {
+  return typeof value === 'string'
+    && (/^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(value) || /^rgba?\([\d\s.,%]+\)$/i.test(value));
+}
+
+/**
+ * Validate and normalize one imported stroke
+ */
+function parseStroke(stroke, index) {
+  if (!stroke || !Array.isArray(stroke.points)) {
+    throw new Error(`Stroke ${index} has no points`);
+  }
+
+  const points = stroke.points.map(point => {
+    if (!point || !isNumber(point.x) || !isNumber(point.y)) {
+      throw new Error(`Stroke ${index} has an invalid point`);
+    }
+    return {
+      x: point.x,
+      y: point.y,
+      t: isNumber(point.t) ? point.t : 0,
+      pressure: isNumber(point.pressure) ? point.pressure : 0.5,
+      tiltX: isNumber(point.tiltX) ? point.tiltX : 0,
+      tiltY: isNumber(point.tiltY) ? point.tiltY : 0
+    };
+  });
+
+  const kinds = ['freehand', 'line', 'rect', 'ellipse', 'fill'];
+
+  return {
+    id: typeof stroke.id === 'string' ? stroke.id : `imported-${index}`,
+    kind: kinds.includes(stroke.kind) ? stroke.kind : 'freehand',
+    erase: stroke.erase === true,
+    color: isColor(stroke.color) ? stroke.color : '#222',
+    width: isNumber(stroke.width) ? stroke.width : 2,
+    pointerType: typeof stroke.pointerType === 'string' ? stroke.pointerType : 'mouse',
+    startedAt: isNumber(stroke.startedAt) ? stroke.startedAt : (points[0]?.t ?? 0),
+    points
+  };
+}
+
+/**
+ * Parse the JSON stroke format, throwing on anything unreadable
+ */
+export function parseDrawing(text) {
+  const data = JSON.parse(text);
+
+  if (!data || data.format !== DRAWING_FORMAT) {
+    throw new Error('Not an AI captioner drawing');
+  }
+  if (data.version > DRAWING_VERSION) {
+    throw new Error(`Unsupported drawing version ${data.version}`);
+  }
+  if (!Array.isArray(data.strokes)) {
+    throw new Error('Drawing has no strokes');
+  }
+
+  return {
+    width: isNumber(data.width) ? data.width : null,
+    height: isNumber(data.height) ? data.height : null,
+    caption: typeof data.caption === 'string' ? data.caption : '',
+    strokes: data.strokes.map(parseStroke)
+  };
+}
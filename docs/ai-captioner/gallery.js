@@ -0,0 +1,139 @@
+// Caption history and game rounds stored in IndexedDB
+
+const DB_NAME = 'ai-captioner';
+const DB_VERSION = 3;
+const STORE = 'captions';
+const ROUNDS_STORE = 'rounds';
+
+// History export format; version 2 added the game rounds
+const BUNDLE_VERSION = 2;
+
+let dbPromise = null;
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open (and create on first use) the history database
+ */
+function openDb() {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      const captions = db.objectStoreNames.contains(STORE)
+        ? request.transaction.objectStore(STORE)
+        : db.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+      // Entries without a cache key (offline backends) stay out of the index
+      if (!captions.indexNames.contains('cacheKey')) {
+        captions.createIndex('cacheKey', 'cacheKey');
+      }
+      if (!db.objectStoreNames.contains(ROUNDS_STORE)) {
+        db.createObjectStore(ROUNDS_STORE, { keyPath: 'id', autoIncrement: true });
+      }
+    };
+    dbPromise = promisify(request);
+  }
+  return dbPromise;
+}
+
+/**
+ * Get an object store in a new transaction
+ */
+async function getStore(mode = 'readonly', name = STORE) {
+  const db = await openDb();
+  return db.transaction(name, mode).objectStore(name);
+}
+
+/**
+ * Save a processed drawing and return its id
+ */
+export async function saveEntry({
+  thumbnail,
+  caption,
+  model,
+  prompt,
+  strokes,
+  background = null,
+  alternatives = [],
+  acceptedIndex = 0,
+  cacheKey = null,
+  createdAt = Date.now()
+}) {
+  const store = await getStore('readwrite');
+  return promisify(store.add({
+    thumbnail, caption, model, prompt, strokes, background, alternatives, acceptedIndex, cacheKey, createdAt
+  }));
+}
+
+/**
+ * Merge changes into a saved entry
+ */
+export async function updateEntry(id, changes) {
+  const store = await getStore('readwrite');
+  const entry = await promisify(store.get(id));
+  if (!entry) return;
+  return promisify(store.put({ ...entry, ...changes }));
+}
+
+/**
+ * List all saved entries, newest first
+ */
+export async function listEntries() {
+  const store = await getStore();
+  const entries = await promisify(store.getAll());
+  return entries.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Find the entry saved for a caption cache key, or undefined
+ */
+export async function findEntryByCacheKey(cacheKey) {
+  const store = await getStore();
+  return promisify(store.index('cacheKey').get(cacheKey));
+}
+
+/**
+ * Delete a saved entry
+ */
+export async function deleteEntry(id) {
+  const store = await getStore('readwrite');
+  return promisify(store.delete(id));
+}
+
+/**
+ * Save a finished game round and return its id
+ */
+export async function saveRound(round) {
+  const store = await getStore('readwrite', ROUNDS_STORE);
+  return promisify(store.add(round));
+}
+
+/**
+ * List all saved game rounds, newest first
+ */
+export async function listRounds() {
+  const store = await getStore('readonly', ROUNDS_STORE);
+  const rounds = await promisify(store.getAll());
+  return rounds.sort((a, b) => b.startedAt - a.startedAt);
+}
+
+/**
+ * Build a self-contained JSON bundle of the whole history
+ */
+export async function exportBundle() {
+  return {
+    format: 'ai-captioner-history',
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    entries: await listEntries(),
+    rounds: await listRounds()
+  };
+}
@@ -0,0 +1,95 @@
+// Pictionary game rules: target words, guess matching and scoring
+
+// Target words with accepted synonyms
+export const WORDS = [
+  { word: 'cat', synonyms: ['kitten', 'kitty', 'feline'] },
+  { word: 'dog', synonyms: ['puppy', 'pup', 'hound', 'canine'] },
+  { word: 'house', synonyms: ['home', 'cottage', 'cabin', 'hut', 'building'] },
+  { word: 'tree', synonyms: ['oak', 'pine', 'palm tree'] },
+  { word: 'sun', synonyms: ['sunshine', 'sunny'] },
+  { word: 'moon', synonyms: ['crescent', 'lunar'] },
+  { word: 'star', synonyms: [] },
+  { word: 'fish', synonyms: ['goldfish', 'salmon'] },
+  { word: 'bird', synonyms: ['sparrow', 'seagull', 'gull', 'pigeon'] },
+  { word: 'flower', synonyms: ['daisy', 'tulip', 'rose', 'blossom', 'bloom'] },
+  { word: 'car', synonyms: ['automobile', 'vehicle', 'sedan'] },
+  { word: 'bicycle', synonyms: ['bike', 'cycle'] },
+  { word: 'boat', synonyms: ['ship', 'sailboat', 'yacht', 'canoe'] },
+  { word: 'airplane', synonyms: ['plane', 'aeroplane', 'jet', 'aircraft'] },
+  { word: 'umbrella', synonyms: ['parasol'] },
+  { word: 'mountain', synonyms: ['hill', 'peak', 'mount'] },
+  { word: 'cup', synonyms: ['mug', 'teacup', 'coffee cup'] },
+  { word: 'clock', synonyms: ['watch', 'timer'] },
+  { word: 'key', synonyms: [] },
+  { word: 'glasses', synonyms: ['spectacles', 'eyeglasses', 'sunglasses'] },
+  { word: 'snowman', synonyms: ['snow man'] },
+  { word: 'heart', synonyms: ['love'] },
+  { word: 'rocket', synonyms: ['spaceship', 'space ship'] },
+  { word: 'apple', synonyms: [] },
+  { word: 'guitar', synonyms: ['ukulele', 'banjo'] },
+  { word: 'spider', synonyms: ['tarantula'] },
+  { word: 'ladder', synonyms: ['stepladder'] },
+  { word: 'lightbulb', synonyms: ['light bulb', 'bulb', 'lamp'] },
+  { word: 'snake', synonyms: ['serpent', 'cobra', 'python'] },
+  { word: 'face', synonyms: ['smiley', 'head', 'portrait'] }
+];
+
+/**
+ * Lowercase and split text into plain word tokens
+ */
+export function tokenize(text) {
+  return text.toLowerCase().match(/[a-z0-9]+/g) || [];
+}
+
+/**
+ * Reduce a word to a rough stem so plurals and verb forms compare equal
+ */
+export function stem(word) {
+  let w = word;
+  if (w.length <= 3) return w;
+
+  if (w.endsWith('ies')) w = `${w.slice(0, -3)}y`;
+  else if (/(sh|ch|x|z|ss)es$/.test(w)) w = w.slice(0, -2);
+  else if (w.endsWith('s') && !w.endsWith('ss')) w = w.slice(0, -1);
+
+  if (w.length > 5 && w.endsWith('ing')) w = w.slice(0, -3);
+  else if (w.length > 4 && w.endsWith('ed')) w = w.slice(0, -2);
+
+  // running -> runn -> run
+  if (/([b-df-hj-np-tv-z])\1$/.test(w) && !/(ss|ll)$/.test(w)) w = w.slice(0, -1);
+
+  // bike / biking -> bik
+  if (w.length > 3 && w.endsWith('e')) w = w.slice(0, -1);
+  return w;
+}
+
+/**
+ * Check whether a guess names the target word or one of its synonyms
+ */
+export function matchesTarget(guess, target) {
+  const guessStems = tokenize(guess).map(stem);
+  const forms = [target.word, ...target.synonyms].map(form => tokenize(form).map(stem));
+
+  return forms.some(form => {
+    for (let i = 0; i + form.length <= guessStems.length; i++) {
+      if (form.every((part, j) => guessStems[i + j] === part)) return true;
+    }
+    return false;
+  });
+}
+
+/**
+ * Pick a random target, avoiding the previous one
+ */
+export function pickTarget(previousWord = null, random = Math.random) {
+  const choices = WORDS.filter(entry => entry.word !== previousWord);
+  return choices[Math.floor(random() * choices.length)];
+}
+
+/**
+ * Score a recognized drawing: faster recognition scores higher (100 down to 10)
+ */
+export function scoreRound(elapsedMs, roundMs) {
+  const remaining = Math.max(0, 1 - elapsedMs / roundMs);
+  return Math.round(10 + 90 * remaining);
+}
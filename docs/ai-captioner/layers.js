@@ -0,0 +1,72 @@
+// Layered canvas model
+//
+// The sketch is a stack of same-sized canvases in #canvasStack: a locked
+// background photo at the bottom, the strokes above it, and the region
+// overlay on top. Only the strokes layer takes pointer input, so erasers
+// and fills never touch the photo.
+
+/**
+ * Read a dropped or pasted image file as a data URL
+ */
+export function readImageFile(file) {
+  return new Promise((resolve, reject) => {
+    if (!file.type.startsWith('image/')) {
+      reject(new Error(`${file.name || 'File'} is not an image`));
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+/**
+ * Load an image element from a URL
+ */
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('Could not load background image'));
+    image.src = src;
+  });
+}
+
+/**
+ * Largest centered box with the image's aspect ratio that fits the canvas
+ */
+function fitImage(image, width, height) {
+  const scale = Math.min(width / image.naturalWidth, height / image.naturalHeight);
+  const w = image.naturalWidth * scale;
+  const h = image.naturalHeight * scale;
+  return { x: (width - w) / 2, y: (height - h) / 2, width: w, height: h };
+}
+
+/**
+ * Draw the background photo scaled to fit, or clear the layer when there is none
+ */
+export async function renderBackground(canvas, src) {
+  const image = src ? await loadImage(src) : null;
+  const ctx = canvas.getContext('2d');
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  if (!image) return;
+
+  const box = fitImage(image, canvas.width, canvas.height);
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(image, box.x, box.y, box.width, box.height);
+}
+
+/**
+ * Flatten layers, bottom first, into a new canvas the size of the first one
+ */
+export function compositeLayers(layers) {
+  const [bottom] = layers;
+  const output = document.createElement('canvas');
+  output.width = bottom.width;
+  output.height = bottom.height;
+
+  const ctx = output.getContext('2d');
+  layers.forEach(layer => ctx.drawImage(layer, 0, 0));
+  return output;
+}
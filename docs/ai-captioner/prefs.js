@@ -0,0 +1,40 @@
+// Preferences for the AI captioner sketch.
+// Tweak these values and reload to change behavior.
+
+export const prefs = {
+  // Vision backend selected on load (see backends.js)
+  backend: 'claude-4-sonnet',
+
+  // Start with live captioning switched on
+  liveMode: false,
+
+  // How long the drawing must stay untouched before a live caption fires
+  liveDelayMs: 1200,
+
+  // Trace-over: caption the strokes together with a background photo
+  captionBackground: true,
+
+  // Captions remembered across reloads (see cache.js); Shift+Space skips the cache
+  cacheSize: 200,
+
+  // Ask for several ranked interpretations instead of one caption
+  alternatives: false,
+  alternativeCount: 4,
+
+  // Image preparation before captioning (see preprocess.js)
+  cropPadding: 16, // px kept around the drawing's bounding box
+  maxImageSize: 512, // longest side sent to the model, in px
+  imageFormat: 'png', // 'png' | 'jpeg'
+  jpegQuality: 0.85,
+
+  // Session replay: pauses longer than this are shortened, and the WebM frame rate
+  replayMaxGapMs: 1000,
+  replayFps: 30,
+
+  // Telephone chains: caption → image → caption hops after the drawing
+  chainHops: 3,
+
+  // Pictionary rounds: time limit and the (shorter) pause before each guess
+  gameRoundMs: 60000,
+  gameDelayMs: 700
+};
@@ -0,0 +1,93 @@
+// Image preparation before captioning: crop, flatten, downscale, encode
+
+/**
+ * Find the bounding box of non-transparent pixels, or null for an empty canvas
+ */
+export function contentBounds(canvas) {
+  const { width, height } = canvas;
+  const { data } = canvas.getContext('2d').getImageData(0, 0, width, height);
+
+  let minX = width;
+  let minY = height;
+  let maxX = -1;
+  let maxY = -1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[(y * width + x) * 4 + 3] === 0) continue;
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+    }
+  }
+
+  if (maxX < 0) return null;
+  return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+}
+
+/**
+ * Grow a box by padding, clamped to the canvas
+ */
+function padBounds(bounds, padding, canvas) {
+  const x = Math.max(0, bounds.x - padding);
+  const y = Math.max(0, bounds.y - padding);
+  return {
+    x,
+    y,
+    width: Math.min(canvas.width, bounds.x + bounds.width + padding) - x,
+    height: Math.min(canvas.height, bounds.y + bounds.height + padding) - y
+  };
+}
+
+/**
+ * Approximate decoded size of a base64 data URL in bytes
+ */
+export function dataURLBytes(dataURL) {
+  const base64 = dataURL.slice(dataURL.indexOf(',') + 1);
+  return Math.floor(base64.length * 3 / 4);
+}
+
+/**
+ * Format a byte count for the console and debug panel
+ */
+export function formatBytes(bytes) {
+  return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+/**
+ * Prepare a canvas for a vision model
+ *
+ * Crops to the drawn content plus padding, flattens onto white (transparent
+ * pixels confuse some models), scales down so the longest side fits maxSize,
+ * and encodes as PNG or JPEG.
+ */
+export function prepareImage(canvas, { padding = 16, maxSize = 512, format = 'png', quality = 0.85 } = {}) {
+  const content = contentBounds(canvas);
+  const bounds = content
+    ? padBounds(content, padding, canvas)
+    : { x: 0, y: 0, width: canvas.width, height: canvas.height };
+
+  const scale = Math.min(1, maxSize / Math.max(bounds.width, bounds.height));
+  const output = document.createElement('canvas');
+  output.width = Math.max(1, Math.round(bounds.width * scale));
+  output.height = Math.max(1, Math.round(bounds.height * scale));
+
+  const ctx = output.getContext('2d');
+  ctx.fillStyle = 'white';
+  ctx.fillRect(0, 0, output.width, output.height);
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(canvas, bounds.x, bounds.y, bounds.width, bounds.height, 0, 0, output.width, output.height);
+
+  const dataURL = format === 'jpeg'
+    ? output.toDataURL('image/jpeg', quality)
+    : output.toDataURL('image/png');
+
+  return {
+    dataURL,
+    bounds,
+    width: output.width,
+    height: output.height,
+    bytes: dataURLBytes(dataURL),
+    originalBytes: dataURLBytes(canvas.toDataURL('image/png'))
+  };
+}
@@ -0,0 +1,63 @@
+// Selected regions of the drawing and their pinned labels
+
+let nextRegionId = 1;
+
+/**
+ * Create a region from a rectangle (two corners) or a lasso (polygon)
+ */
+export function createRegion(kind, points) {
+  return {
+    id: `r${nextRegionId++}`,
+    kind, // 'rect' | 'lasso'
+    points, // { x, y }
+    label: '',
+    status: 'idle' // 'idle' | 'loading' | 'done' | 'error'
+  };
+}
+
+/**
+ * Polygon outlining a region
+ */
+export function regionPolygon(region) {
+  if (region.kind === 'lasso') return region.points;
+  const [a, b = a] = region.points;
+  return [a, { x: b.x, y: a.y }, b, { x: a.x, y: b.y }];
+}
+
+/**
+ * Bounding box of a region
+ */
+export function regionBounds(region) {
+  const polygon = regionPolygon(region);
+  const xs = polygon.map(p => p.x);
+  const ys = polygon.map(p => p.y);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+}
+
+/**
+ * Whether a finished selection is big enough to caption
+ */
+export function isUsableRegion(region) {
+  const { width, height } = regionBounds(region);
+  const enoughPoints = region.kind === 'rect' || region.points.length >= 3;
+  return enoughPoints && width >= 8 && height >= 8;
+}
+
+/**
+ * Copy of the source canvas with everything outside the region removed
+ */
+export function maskedRegionCanvas(source, region) {
+  const canvas = document.createElement('canvas');
+  canvas.width = source.width;
+  canvas.height = source.height;
+
+  const ctx = canvas.getContext('2d');
+  ctx.beginPath();
+  regionPolygon(region).forEach((p, i) => (i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)));
+  ctx.closePath();
+  ctx.clip();
+  ctx.drawImage(source, 0, 0);
+  return canvas;
+}
@@ -0,0 +1,171 @@
+// Replay of a drawing session: strokes redrawn over time with the captions
+// that were requested along the way
+//
+// Times are the real timestamps recorded on points and caption requests.
+// Long pauses are shortened so a replay doesn't sit on an unchanged frame.
+
+import { renderStrokes } from './canvas.js';
+import { strokeKind } from './strokes.js';
+
+const CAPTION_BAND = 60; // px under the drawing for the caption
+const CAPTION_FONT = 'italic 16px ui-sans-serif, system-ui, sans-serif';
+
+/**
+ * Time a stroke is complete: shapes and fills appear whole, freehand grows point by point
+ */
+function strokeEnd(stroke) {
+  const last = stroke.points[stroke.points.length - 1];
+  return last?.t ?? stroke.startedAt;
+}
+
+/**
+ * Map between replay position and real time, with pauses capped at maxGap
+ * Returns { start, duration, toTime(position), toPosition(time) }, all in ms
+ */
+export function createTimeline(strokes, captionLog, maxGap = 1000) {
+  const times = [
+    ...strokes.flatMap(stroke => [stroke.startedAt, ...stroke.points.map(point => point.t)]),
+    ...captionLog.map(entry => entry.requestedAt)
+  ].filter(Number.isFinite);
+  times.sort((a, b) => a - b);
+
+  // Replay position of each recorded time
+  const positions = times.map(() => 0);
+  for (let i = 1; i < times.length; i++) {
+    positions[i] = positions[i - 1] + Math.min(times[i] - times[i - 1], maxGap);
+  }
+
+  const start = times[0] ?? 0;
+  const duration = positions[positions.length - 1] ?? 0;
+
+  // Interpolate between neighbouring samples of one list to the other
+  const interpolate = (from, to, value) => {
+    if (from.length === 0) return value;
+    if (value <= from[0]) return to[0];
+    let lo = 0;
+    let hi = from.length - 1;
+    if (value >= from[hi]) return to[hi];
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (from[mid] <= value) lo = mid;
+      else hi = mid;
+    }
+    const span = from[hi] - from[lo];
+    const fraction = span === 0 ? 0 : (value - from[lo]) / span;
+    return to[lo] + fraction * (to[hi] - to[lo]);
+  };
+
+  return {
+    start,
+    duration,
+    toTime: position => interpolate(positions, times, position),
+    toPosition: time => interpolate(times, positions, time)
+  };
+}
+
+/**
+ * Strokes as they stood at a moment: unfinished freehand strokes are cut short
+ */
+export function strokesAt(strokes, time) {
+  return strokes.flatMap(stroke => {
+    if (stroke.startedAt > time) return [];
+    if (strokeKind(stroke) !== 'freehand') return strokeEnd(stroke) <= time ? [stroke] : [];
+    const points = stroke.points.filter(point => point.t <= time);
+    return points.length ? [{ ...stroke, points }] : [];
+  });
+}
+
+/**
+ * Latest caption requested at or before a moment, or null
+ */
+export function captionAt(captionLog, time) {
+  let current = null;
+  captionLog.forEach(entry => {
+    if (entry.requestedAt <= time) current = entry;
+  });
+  return current;
+}
+
+/**
+ * Size of the replay canvas for a drawing
+ */
+export function replaySize(width, height) {
+  return { width, height: height + CAPTION_BAND };
+}
+
+/**
+ * Shorten text with an ellipsis until it fits
+ */
+function fitText(ctx, text, maxWidth) {
+  if (ctx.measureText(text).width <= maxWidth) return text;
+  let fitted = text;
+  while (fitted && ctx.measureText(`${fitted}…`).width > maxWidth) fitted = fitted.slice(0, -1);
+  return `${fitted}…`;
+}
+
+/**
+ * Draw one replay frame: background photo, strokes so far, and the current caption
+ */
+export function renderReplayFrame(canvas, { strokes, background = null, caption = '' }) {
+  const width = canvas.width;
+  const height = canvas.height - CAPTION_BAND;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = 'white';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  if (background) ctx.drawImage(background, 0, 0);
+
+  // Strokes get their own layer so erasers don't cut through the photo
+  const layer = document.createElement('canvas');
+  layer.width = width;
+  layer.height = height;
+  renderStrokes(layer, strokes);
+  ctx.drawImage(layer, 0, 0);
+
+  ctx.fillStyle = '#f4f4f4';
+  ctx.fillRect(0, height, width, CAPTION_BAND);
+  if (!caption) return;
+  ctx.font = CAPTION_FONT;
+  ctx.fillStyle = '#222';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(fitText(ctx, caption, width - 24), width / 2, height + CAPTION_BAND / 2);
+}
+
+/**
+ * Record a canvas as WebM while drawFrame(position) plays the replay in real time
+ * Resolves to the recorded Blob
+ */
+export function recordReplay(canvas, { duration, drawFrame, fps = 30 }) {
+  const type = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+    .find(candidate => MediaRecorder.isTypeSupported(candidate));
+  if (!type) return Promise.reject(new Error('This browser cannot record WebM'));
+
+  return new Promise((resolve, reject) => {
+    const stream = canvas.captureStream(fps);
+    const recorder = new MediaRecorder(stream, { mimeType: type });
+    const chunks = [];
+    recorder.ondataavailable = (e) => {
+      if (e.data.size) chunks.push(e.data);
+    };
+    recorder.onerror = (e) => reject(e.error);
+    recorder.onstop = () => {
+      stream.getTracks().forEach(track => track.stop());
+      resolve(new Blob(chunks, { type: 'video/webm' }));
+    };
+
+    drawFrame(0);
+    recorder.start();
+    const startedAt = performance.now();
+    const step = () => {
+      const position = Math.min(duration, performance.now() - startedAt);
+      drawFrame(position);
+      if (position < duration) {
+        requestAnimationFrame(step);
+      } else {
+        // Hold the last frame briefly so players show the final caption
+        setTimeout(() => recorder.stop(), 500);
+      }
+    };
+    requestAnimationFrame(step);
+  });
+}
@@ -1,13 +1,47 @@
 // Pure state management functions
 
+// Maximum number of undo steps kept in memory
+const MAX_HISTORY = 100;
+
 /**
  * Initial application state
  */
-export function createInitialState() {
+export function createInitialState({
+  live = false,
+  backendId = null,
+  chainHops = 3,
+  multi = false,
+  includeBackground = true
+} = {}) {
   return {
-    currentTool: 'draw', // 'draw'
+    currentTool: 'brush', // 'brush' | 'eraser' | 'fill' | 'line' | 'rect' | 'ellipse' | 'delete' | 'marquee' | 'lasso'
+    color: '#222222',
+    brushSize: 2,
+    strokes: [],
+    past: [], // previous stroke lists, newest last
+    future: [], // undone stroke lists, newest last
+    revision: 0, // bumped on every drawing change
+    background: null, // data URL of a locked photo to trace over
+    includeBackground, // caption the strokes composited with the photo
+    live, // caption automatically when drawing pauses
+    backendId, // vision backend from backends.js
     caption: '',
+    captionRevision: -1, // drawing revision the caption describes
+    captionEntryId: null, // history entry holding the current caption
+    captionCached: false, // caption came from the cache, not a new request
+    captionLog: [], // every caption this session: { requestedAt, at, caption, mode, model, cached }
+    multi, // ask for ranked alternatives
+    alternatives: [], // { caption, confidence }, most likely first
+    acceptedIndex: 0,
     status: 'idle', // 'idle' | 'loading' | 'done' | 'error'
+    gallery: [], // saved captions, newest first
+    galleryOpen: false,
+    replayOpen: false,
+    game: null, // current or last Pictionary round
+    rounds: [], // saved rounds, newest first
+    regions: [], // selected regions with pinned labels
+    chain: null, // current or last telephone chain
+    chainHops
   };
 }
 
@@ -21,6 +55,299 @@ export function setTool(state, tool) {
   };
 }
 
+/**
+ * Set drawing color
+ */
+export function setColor(state, color) {
+  return {
+    ...state,
+    color
+  };
+}
+
+/**
+ * Set brush size, kept within the toolbar's range
+ */
+export function setBrushSize(state, brushSize) {
+  return {
+    ...state,
+    brushSize: Math.max(1, Math.min(40, brushSize))
+  };
+}
+
+/**
+ * Replace the stroke list, recording the previous one for undo
+ */
+export function commitStrokes(state, strokes) {
+  return {
+    ...state,
+    strokes,
+    past: [...state.past, state.strokes].slice(-MAX_HISTORY),
+    future: [],
+    revision: state.revision + 1
+  };
+}
+
+/**
+ * Append a finished stroke
+ */
+export function addStroke(state, stroke) {
+  return commitStrokes(state, [...state.strokes, stroke]);
+}
+
+/**
+ * Remove a single stroke by id
+ */
+export function deleteStroke(state, strokeId) {
+  const strokes = state.strokes.filter(stroke => stroke.id !== strokeId);
+  if (strokes.length === state.strokes.length) return state;
+  return commitStrokes(state, strokes);
+}
+
+/**
+ * Remove all strokes (undoable)
+ */
+export function clearStrokes(state) {
+  if (state.strokes.length === 0) return state;
+  return commitStrokes(state, []);
+}
+
+/**
+ * Step back to the previous stroke list
+ */
+export function undo(state) {
+  if (state.past.length === 0) return state;
+  return {
+    ...state,
+    strokes: state.past[state.past.length - 1],
+    past: state.past.slice(0, -1),
+    future: [...state.future, state.strokes],
+    revision: state.revision + 1
+  };
+}
+
+/**
+ * Re-apply the most recently undone stroke list
+ */
+export function redo(state) {
+  if (state.future.length === 0) return state;
+  return {
+    ...state,
+    strokes: state.future[state.future.length - 1],
+    past: [...state.past, state.strokes],
+    future: state.future.slice(0, -1),
+    revision: state.revision + 1
+  };
+}
+
+/**
+ * Set or remove the background photo (not part of undo history)
+ */
+export function setBackground(state, background) {
+  return {
+    ...state,
+    background,
+    revision: state.revision + 1
+  };
+}
+
+/**
+ * Choose whether captions see the background photo or the strokes only
+ */
+export function setIncludeBackground(state, includeBackground) {
+  return {
+    ...state,
+    includeBackground,
+    revision: state.revision + 1
+  };
+}
+
+/**
+ * Toggle live captioning
+ */
+export function setLive(state, live) {
+  return {
+    ...state,
+    live
+  };
+}
+
+/**
+ * Select the vision backend
+ */
+export function setBackend(state, backendId) {
+  return {
+    ...state,
+    backendId
+  };
+}
+
+/**
+ * Replace the list of saved captions
+ */
+export function setGallery(state, gallery) {
+  return {
+    ...state,
+    gallery
+  };
+}
+
+/**
+ * Show or hide the history panel
+ */
+export function setGalleryOpen(state, galleryOpen) {
+  return {
+    ...state,
+    galleryOpen
+  };
+}
+
+/**
+ * Start a Pictionary round with a fresh canvas
+ */
+export function startRound(state, target, now) {
+  return {
+    ...commitStrokes(state, []),
+    caption: '',
+    captionRevision: -1,
+    game: {
+      target, // { word, synonyms }
+      status: 'playing', // 'playing' | 'won' | 'lost'
+      startedAt: now,
+      finishedAt: null,
+      guesses: [], // { text, at, correct }
+      score: 0
+    }
+  };
+}
+
+/**
+ * Record an AI guess made during the round
+ */
+export function addGuess(state, text, correct, now) {
+  if (!state.game || state.game.status !== 'playing') return state;
+  return {
+    ...state,
+    game: {
+      ...state.game,
+      guesses: [...state.game.guesses, { text, at: now, correct }]
+    }
+  };
+}
+
+/**
+ * Finish the round as won or lost
+ */
+export function endRound(state, { won, score = 0, now }) {
+  if (!state.game || state.game.status !== 'playing') return state;
+  return {
+    ...state,
+    game: {
+      ...state.game,
+      status: won ? 'won' : 'lost',
+      finishedAt: now,
+      score
+    }
+  };
+}
+
+/**
+ * Replace the list of saved rounds
+ */
+export function setRounds(state, rounds) {
+  return {
+    ...state,
+    rounds
+  };
+}
+
+/**
+ * Whether a Pictionary round is in progress
+ */
+export function isPlaying(state) {
+  return state.game?.status === 'playing';
+}
+
+/**
+ * Add a selected region
+ */
+export function addRegion(state, region) {
+  return {
+    ...state,
+    regions: [...state.regions, region]
+  };
+}
+
+/**
+ * Merge changes into a region
+ */
+export function updateRegion(state, regionId, changes) {
+  return {
+    ...state,
+    regions: state.regions.map(region => (region.id === regionId ? { ...region, ...changes } : region))
+  };
+}
+
+/**
+ * Remove all regions
+ */
+export function clearRegions(state) {
+  return {
+    ...state,
+    regions: []
+  };
+}
+
+/**
+ * Set how many image hops a telephone chain runs
+ */
+export function setChainHops(state, chainHops) {
+  return {
+    ...state,
+    chainHops: Math.max(1, Math.min(8, chainHops || 1))
+  };
+}
+
+/**
+ * Begin a telephone chain
+ */
+export function startChain(state, now) {
+  return {
+    ...state,
+    chain: {
+      status: 'running', // 'running' | 'done' | 'stopped' | 'error'
+      hops: state.chainHops,
+      startedAt: now,
+      steps: [] // { hop, image, caption, imageModel, captionModel, at }
+    }
+  };
+}
+
+/**
+ * Add or update a chain step by hop number
+ */
+export function setChainStep(state, step) {
+  if (!state.chain) return state;
+  const steps = state.chain.steps.filter(existing => existing.hop !== step.hop);
+  steps.push(step);
+  steps.sort((a, b) => a.hop - b.hop);
+  return {
+    ...state,
+    chain: { ...state.chain, steps }
+  };
+}
+
+/**
+ * Mark the chain as finished
+ */
+export function finishChain(state, status) {
+  if (!state.chain) return state;
+  return {
+    ...state,
+    chain: { ...state.chain, status }
+  };
+}
+
 /**
  * Set loading state when processing image
  */
@@ -32,16 +359,83 @@ export function setLoading(state) {
 }
 
 /**
- * Set caption and mark as done
+ * Set caption for a drawing revision and mark as done
  */
-export function setCaption(state, caption) {
+export function setCaption(state, caption, revision = state.revision, cached = false) {
   return {
     ...state,
     caption,
+    captionRevision: revision,
+    captionEntryId: null,
+    captionCached: cached,
+    alternatives: [],
+    acceptedIndex: 0,
     status: 'done'
   };
 }
 
+/**
+ * Record a caption in the session log, kept in request order
+ */
+export function logCaption(state, entry) {
+  const captionLog = [...state.captionLog, entry].sort((a, b) => a.requestedAt - b.requestedAt);
+  return {
+    ...state,
+    captionLog
+  };
+}
+
+/**
+ * Show or hide the replay panel
+ */
+export function setReplayOpen(state, replayOpen) {
+  return {
+    ...state,
+    replayOpen
+  };
+}
+
+/**
+ * Show ranked alternatives, with the accepted one as the caption
+ */
+export function setAlternatives(state, alternatives, acceptedIndex = 0) {
+  if (alternatives.length === 0) return state;
+  const index = Math.min(acceptedIndex, alternatives.length - 1);
+  return {
+    ...state,
+    alternatives,
+    acceptedIndex: index,
+    caption: alternatives[index].caption
+  };
+}
+
+/**
+ * Mark one alternative as the accepted caption
+ */
+export function acceptAlternative(state, index) {
+  return setAlternatives(state, state.alternatives, index);
+}
+
+/**
+ * Remember which history entry holds the current caption
+ */
+export function setCaptionEntry(state, captionEntryId) {
+  return {
+    ...state,
+    captionEntryId
+  };
+}
+
+/**
+ * Toggle asking for ranked alternatives
+ */
+export function setMulti(state, multi) {
+  return {
+    ...state,
+    multi
+  };
+}
+
 /**
  * Set error state
  */
@@ -0,0 +1,144 @@
+// Stroke data model and geometry helpers
+//
+// Every drawing item is a "stroke" with a list of points. The kind decides
+// how the points are read: a freehand path, the two ends of a line, the
+// corners of a rect or ellipse's bounding box, or the seed of a flood fill.
+
+let nextStrokeId = 1;
+
+export const SHAPE_KINDS = ['line', 'rect', 'ellipse'];
+
+/**
+ * Create an empty stroke
+ */
+export function createStroke({
+  kind = 'freehand', // 'freehand' | 'line' | 'rect' | 'ellipse' | 'fill'
+  erase = false, // freehand strokes that remove paint
+  color = '#222',
+  width = 2,
+  pointerType = 'mouse',
+  now = Date.now()
+} = {}) {
+  return {
+    id: `s${now.toString(36)}-${nextStrokeId++}`,
+    kind,
+    erase,
+    color,
+    width, // base width, scaled per point by pressure and tilt
+    pointerType,
+    startedAt: now,
+    points: [] // { x, y, t, pressure, tiltX, tiltY }
+  };
+}
+
+/**
+ * Kind of a stroke, treating strokes saved before kinds existed as freehand
+ */
+export function strokeKind(stroke) {
+  return stroke.kind || 'freehand';
+}
+
+/**
+ * Move the end point of a line/shape while it is being dragged
+ */
+export function setShapeEnd(stroke, { x, y }, now = Date.now()) {
+  const end = { x, y, t: now, pressure: 0.5, tiltX: 0, tiltY: 0 };
+  stroke.points = [stroke.points[0], end];
+  return end;
+}
+
+/**
+ * Append a point to a stroke (mutates the in-progress stroke)
+ */
+export function addPoint(stroke, { x, y, pressure = 0.5, tiltX = 0, tiltY = 0 }, now = Date.now()) {
+  const point = { x, y, t: now, pressure, tiltX, tiltY };
+  stroke.points.push(point);
+  return point;
+}
+
+/**
+ * Line width at a point: 0.5 pressure (the mouse default) gives the base width,
+ * and tilting a pen broadens the line like the side of a pencil
+ */
+export function pointWidth(stroke, point) {
+  const pressure = point.pressure ?? 0.5;
+  const tilt = Math.min(90, Math.hypot(point.tiltX || 0, point.tiltY || 0));
+  const pressureFactor = 0.25 + 1.5 * pressure;
+  const tiltFactor = 1 + tilt / 90;
+  return Math.max(0.5, stroke.width * pressureFactor * tiltFactor);
+}
+
+/**
+ * Widest line width found along a stroke
+ */
+function maxWidth(stroke) {
+  return stroke.points.reduce((max, point) => Math.max(max, pointWidth(stroke, point)), stroke.width);
+}
+
+/**
+ * Distance from point p to segment ab
+ */
+function distanceToSegment(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  let t = lengthSq === 0 ? 0 : ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq;
+  t = Math.max(0, Math.min(1, t));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+/**
+ * Points tracing the visible outline of a stroke
+ */
+export function outlinePoints(stroke) {
+  const { points } = stroke;
+  const kind = strokeKind(stroke);
+  if (kind === 'freehand' || kind === 'line' || points.length < 2) return points;
+
+  const [a, b] = points;
+  if (kind === 'rect') {
+    return [a, { x: b.x, y: a.y }, b, { x: a.x, y: b.y }, a];
+  }
+
+  // Ellipse: approximate with a polygon
+  const cx = (a.x + b.x) / 2;
+  const cy = (a.y + b.y) / 2;
+  const rx = Math.abs(b.x - a.x) / 2;
+  const ry = Math.abs(b.y - a.y) / 2;
+  const outline = [];
+  for (let i = 0; i <= 32; i++) {
+    const angle = (i / 32) * Math.PI * 2;
+    outline.push({ x: cx + rx * Math.cos(angle), y: cy + ry * Math.sin(angle) });
+  }
+  return outline;
+}
+
+/**
+ * Distance from a point to the nearest part of a stroke
+ */
+function distanceToStroke(stroke, p) {
+  const points = outlinePoints(stroke);
+  if (points.length === 0) return Infinity;
+  if (points.length === 1) return Math.hypot(p.x - points[0].x, p.y - points[0].y);
+
+  let min = Infinity;
+  for (let i = 1; i < points.length; i++) {
+    min = Math.min(min, distanceToSegment(p, points[i - 1], points[i]));
+  }
+  return min;
+}
+
+/**
+ * Find the topmost line-like stroke under a point, or null
+ * Fills are hit-tested by pixels, and eraser strokes leave nothing visible to pick
+ */
+export function findStrokeAt(strokes, x, y, tolerance = 6) {
+  for (let i = strokes.length - 1; i >= 0; i--) {
+    const stroke = strokes[i];
+    if (stroke.erase || strokeKind(stroke) === 'fill') continue;
+    if (distanceToStroke(stroke, { x, y }) <= tolerance + maxWidth(stroke) / 2) {
+      return stroke;
+    }
+  }
+  return null;
+}
@@ -1,31 +1,150 @@
 // DOM rendering and UI management
 
+import { prefs } from './prefs.js';
+import { formatBytes } from './preprocess.js';
+
 /**
  * Get DOM elements
  */
 export function getElements() {
   return {
     canvas: document.getElementById('drawingCanvas'),
+    overlay: document.getElementById('overlayCanvas'),
+    background: document.getElementById('backgroundCanvas'),
+    canvasContainer: document.getElementById('canvasContainer'),
+    photoBtn: document.getElementById('photoBtn'),
+    photoInput: document.getElementById('photoInput'),
+    photoToggle: document.getElementById('photoToggle'),
+    removePhotoBtn: document.getElementById('removePhotoBtn'),
+    captionRegionsBtn: document.getElementById('captionRegionsBtn'),
+    clearRegionsBtn: document.getElementById('clearRegionsBtn'),
+    toolButtons: document.querySelectorAll('[data-tool]'),
+    colorInput: document.getElementById('colorInput'),
+    sizeInput: document.getElementById('sizeInput'),
+    sizeValue: document.getElementById('sizeValue'),
     clearTool: document.getElementById('clearTool'),
+    undoBtn: document.getElementById('undoBtn'),
+    redoBtn: document.getElementById('redoBtn'),
     processBtn: document.getElementById('processBtn'),
+    liveToggle: document.getElementById('liveToggle'),
+    backendSelect: document.getElementById('backendSelect'),
+    multiToggle: document.getElementById('multiToggle'),
     caption: document.getElementById('caption'),
+    cachedBadge: document.getElementById('cachedBadge'),
+    alternativesList: document.getElementById('alternativesList'),
     loading: document.getElementById('loading'),
-    captionContainer: document.getElementById('captionContainer')
+    captionContainer: document.getElementById('captionContainer'),
+    exportSvg: document.getElementById('exportSvg'),
+    exportPng: document.getElementById('exportPng'),
+    exportJson: document.getElementById('exportJson'),
+    importBtn: document.getElementById('importBtn'),
+    importInput: document.getElementById('importInput'),
+    gameBtn: document.getElementById('gameBtn'),
+    gamePanel: document.getElementById('gamePanel'),
+    gameStatus: document.getElementById('gameStatus'),
+    guessList: document.getElementById('guessList'),
+    gameTotals: document.getElementById('gameTotals'),
+    roundList: document.getElementById('roundList'),
+    debugPreview: document.getElementById('debugPreview'),
+    debugInfo: document.getElementById('debugInfo'),
+    chainBtn: document.getElementById('chainBtn'),
+    chainHops: document.getElementById('chainHops'),
+    chainPanel: document.getElementById('chainPanel'),
+    chainStatus: document.getElementById('chainStatus'),
+    chainList: document.getElementById('chainList'),
+    chainExport: document.getElementById('chainExport'),
+    galleryToggle: document.getElementById('galleryToggle'),
+    replayToggle: document.getElementById('replayToggle'),
+    replayPanel: document.getElementById('replayPanel'),
+    replayCanvas: document.getElementById('replayCanvas'),
+    replayPlay: document.getElementById('replayPlay'),
+    replayScrubber: document.getElementById('replayScrubber'),
+    replayTime: document.getElementById('replayTime'),
+    replayExport: document.getElementById('replayExport'),
+    replayCaptions: document.getElementById('replayCaptions'),
+    galleryPanel: document.getElementById('galleryPanel'),
+    galleryList: document.getElementById('galleryList'),
+    galleryExport: document.getElementById('galleryExport')
   };
 }
 
+// Lists currently in the DOM, to skip needless rebuilds
+let renderedGallery = null;
+let renderedRounds = null;
+let renderedChain = null;
+
+/**
+ * Update tool button states and brush settings
+ */
+export function updateToolStates(elements, { currentTool, color, brushSize }) {
+  elements.toolButtons.forEach(button => {
+    button.classList.toggle('active', button.dataset.tool === currentTool);
+  });
+  elements.canvas.dataset.tool = currentTool;
+  elements.colorInput.value = color;
+  elements.sizeInput.value = brushSize;
+  elements.sizeValue.textContent = brushSize;
+}
+
+/**
+ * Enable or disable undo/redo buttons
+ */
+export function updateUndoButtons(elements, canUndo, canRedo) {
+  elements.undoBtn.disabled = !canUndo;
+  elements.redoBtn.disabled = !canRedo;
+}
+
+/**
+ * Update live mode toggle
+ */
+export function updateLiveToggle(elements, live) {
+  elements.liveToggle.classList.toggle('active', live);
+  elements.liveToggle.setAttribute('aria-pressed', String(live));
+}
+
 /**
- * Update tool button states (no longer needed but keeping for consistency)
+ * Fill the backend selector from the registry
  */
-export function updateToolStates(elements, currentTool) {
-  // No tools to update anymore
+export function populateBackendSelect(elements, backends) {
+  elements.backendSelect.replaceChildren(...backends.map(backend => {
+    const option = document.createElement('option');
+    option.value = backend.id;
+    option.textContent = backend.label;
+    return option;
+  }));
+}
+
+/**
+ * Update the ranked alternatives list
+ */
+export function updateAlternatives(elements, alternatives, acceptedIndex) {
+  elements.alternativesList.hidden = alternatives.length < 2;
+  elements.alternativesList.replaceChildren(...alternatives.map((alternative, index) => {
+    const item = document.createElement('li');
+    item.dataset.index = index;
+    item.classList.toggle('accepted', index === acceptedIndex);
+    item.title = 'Accept this reading';
+
+    const text = document.createElement('span');
+    text.textContent = alternative.caption;
+    item.append(text);
+
+    if (alternative.confidence !== null) {
+      const confidence = document.createElement('span');
+      confidence.className = 'confidence';
+      confidence.textContent = `${Math.round(alternative.confidence * 100)}%`;
+      item.append(confidence);
+    }
+    return item;
+  }));
 }
 
 /**
  * Update caption display
  */
-export function updateCaption(elements, text) {
+export function updateCaption(elements, text, cached = false) {
   elements.caption.textContent = text;
+  elements.cachedBadge.hidden = !cached || !text;
 }
 
 /**
@@ -47,18 +166,294 @@ export function updateLoadingState(elements, isLoading, isError = false) {
   }
 }
 
+/**
+ * Build one history list item
+ */
+function createGalleryItem(entry) {
+  const item = document.createElement('li');
+  item.className = 'galleryItem';
+  item.dataset.id = entry.id;
+
+  const thumb = document.createElement('img');
+  thumb.src = entry.thumbnail;
+  thumb.alt = entry.caption;
+
+  const text = document.createElement('div');
+  text.className = 'galleryText';
+  const caption = document.createElement('div');
+  caption.className = 'galleryCaption';
+  caption.textContent = entry.caption;
+  const meta = document.createElement('div');
+  meta.className = 'galleryMeta';
+  meta.textContent = `${entry.model} · ${new Date(entry.createdAt).toLocaleString()}`;
+  meta.title = entry.prompt;
+  text.append(caption, meta);
+
+  const actions = document.createElement('div');
+  actions.className = 'galleryActions';
+  const restore = document.createElement('button');
+  restore.className = 'tool';
+  restore.dataset.action = 'restore';
+  restore.textContent = 'Restore';
+  const remove = document.createElement('button');
+  remove.className = 'tool';
+  remove.dataset.action = 'delete';
+  remove.textContent = 'Delete';
+  actions.append(restore, remove);
+
+  item.append(thumb, text, actions);
+  return item;
+}
+
+/**
+ * Update the history panel
+ */
+export function updateGallery(elements, entries, open) {
+  elements.galleryPanel.hidden = !open;
+  elements.galleryToggle.classList.toggle('active', open);
+
+  if (entries === renderedGallery) return;
+  renderedGallery = entries;
+
+  elements.galleryList.replaceChildren(...entries.map(createGalleryItem));
+  elements.galleryExport.disabled = entries.length === 0;
+}
+
+/**
+ * Format milliseconds as m:ss
+ */
+function formatClock(ms) {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Show or hide the replay panel
+ */
+export function updateReplay(elements, open) {
+  elements.replayPanel.hidden = !open;
+  elements.replayToggle.classList.toggle('active', open);
+}
+
+/**
+ * List the session's captions at the replay position they were requested
+ */
+export function updateReplayCaptions(elements, captionLog, timeline) {
+  elements.replayCaptions.replaceChildren(...captionLog.map((entry, index) => {
+    const item = document.createElement('li');
+    item.dataset.index = index;
+    const time = document.createElement('time');
+    time.textContent = formatClock(timeline.toPosition(entry.requestedAt));
+    const text = document.createElement('span');
+    text.textContent = entry.cached ? `${entry.caption} (cached)` : entry.caption;
+    item.append(time, text);
+    return item;
+  }));
+}
+
+/**
+ * Update the scrubber, clock and buttons, and mark the caption on screen
+ */
+export function updateReplayPosition(elements, { position, duration, playing, recording, current }) {
+  elements.replayScrubber.max = Math.round(duration);
+  elements.replayScrubber.value = Math.round(position);
+  elements.replayScrubber.disabled = recording;
+  elements.replayTime.textContent = `${formatClock(position)} / ${formatClock(duration)}`;
+  elements.replayPlay.textContent = playing ? 'Pause' : 'Play';
+  elements.replayPlay.disabled = recording || duration === 0;
+  elements.replayExport.textContent = recording ? 'Recording…' : 'WebM';
+  elements.replayExport.disabled = recording || duration === 0;
+  Array.from(elements.replayCaptions.children).forEach((item, index) => {
+    item.classList.toggle('current', index === current);
+  });
+}
+
+/**
+ * Format milliseconds as seconds with one decimal
+ */
+function formatSeconds(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Update the round's headline: target and countdown, or the result
+ */
+export function updateGameStatus(elements, game, roundMs) {
+  if (!game) return;
+
+  if (game.status === 'playing') {
+    const remaining = Math.max(0, roundMs - (Date.now() - game.startedAt));
+    elements.gameStatus.textContent = `Draw: ${game.target.word} — ${Math.ceil(remaining / 1000)}s left`;
+  } else if (game.status === 'won') {
+    elements.gameStatus.textContent = `Recognized "${game.target.word}" in ${formatSeconds(game.finishedAt - game.startedAt)}! +${game.score}`;
+  } else {
+    elements.gameStatus.textContent = `Not recognized. The word was "${game.target.word}".`;
+  }
+}
+
+/**
+ * Build one saved round list item
+ */
+function createRoundItem(round) {
+  const item = document.createElement('li');
+  item.className = 'roundItem';
+  item.dataset.id = round.id;
+  item.title = 'Show this drawing';
+  const result = round.won ? `${formatSeconds(round.recognizedAfterMs)} · ${round.score} pts` : 'missed';
+  item.textContent = `${round.target} — ${result}`;
+  return item;
+}
+
+/**
+ * Update the Pictionary panel
+ */
+export function updateGame(elements, game, rounds, roundMs) {
+  const playing = game?.status === 'playing';
+  elements.gameBtn.textContent = playing ? 'Give up' : 'Play';
+  elements.gameBtn.classList.toggle('active', playing);
+  elements.gamePanel.hidden = !game && rounds.length === 0;
+
+  updateGameStatus(elements, game, roundMs);
+
+  elements.guessList.replaceChildren(...(game ? game.guesses : []).map(guess => {
+    const item = document.createElement('li');
+    item.textContent = guess.text;
+    item.classList.toggle('correct', guess.correct);
+    return item;
+  }));
+
+  if (rounds === renderedRounds) return;
+  renderedRounds = rounds;
+
+  const total = rounds.reduce((sum, round) => sum + round.score, 0);
+  const won = rounds.filter(round => round.won).length;
+  elements.gameTotals.textContent = rounds.length
+    ? `${won}/${rounds.length} recognized · ${total} pts total`
+    : '';
+  elements.roundList.replaceChildren(...rounds.slice(0, 10).map(createRoundItem));
+}
+
+/**
+ * Build one telephone chain card
+ */
+function createChainItem(step) {
+  const item = document.createElement('li');
+  item.className = 'chainItem';
+
+  const label = document.createElement('div');
+  label.className = 'chainHop';
+  label.textContent = step.hop === 0 ? 'Drawing' : `Hop ${step.hop}`;
+
+  const image = document.createElement('img');
+  image.src = step.image;
+  image.alt = step.hop === 0 ? 'Drawing' : `Generated from: ${step.caption || '…'}`;
+
+  const caption = document.createElement('div');
+  caption.className = 'chainCaption';
+  caption.textContent = step.caption ?? 'Captioning…';
+
+  item.append(label, image, caption);
+  return item;
+}
+
+const CHAIN_STATUS_TEXT = {
+  running: 'Running…',
+  done: 'Done',
+  stopped: 'Stopped',
+  error: 'Error. Try again'
+};
+
+/**
+ * Update the telephone chain controls and timeline
+ */
+export function updateChain(elements, chain, chainHops) {
+  const running = chain?.status === 'running';
+  elements.chainBtn.textContent = running ? 'Stop' : 'Telephone';
+  elements.chainBtn.classList.toggle('active', running);
+  elements.chainHops.value = chainHops;
+
+  if (chain === renderedChain) return;
+  renderedChain = chain;
+
+  elements.chainPanel.hidden = !chain;
+  if (!chain) return;
+
+  elements.chainStatus.textContent = `${CHAIN_STATUS_TEXT[chain.status]} · ${chain.hops} hops`;
+  elements.chainList.replaceChildren(...chain.steps.map(createChainItem));
+  elements.chainExport.disabled = running;
+}
+
+/**
+ * Show the image exactly as it was sent to the model
+ */
+export function updateDebugPreview(elements, prepared) {
+  elements.debugPreview.src = prepared.dataURL;
+  const { bounds } = prepared;
+  elements.debugInfo.textContent = [
+    `crop ${bounds.width}×${bounds.height} at ${bounds.x},${bounds.y}`,
+    `sent ${prepared.width}×${prepared.height}`,
+    `${formatBytes(prepared.originalBytes)} → ${formatBytes(prepared.bytes)}`
+  ].join(' · ');
+}
+
+/**
+ * Offer text or a Blob as a file download
+ */
+export function downloadFile(filename, content, type = 'application/json') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
 /**
  * Render the complete UI state
  */
 export function render(elements, state) {
   // Update tool states
-  updateToolStates(elements, state.currentTool);
+  updateToolStates(elements, state);
+  
+  // Update undo/redo availability
+  updateUndoButtons(elements, state.past.length > 0, state.future.length > 0);
+  
+  // Update region actions
+  elements.captionRegionsBtn.disabled = state.regions.length === 0;
+  elements.clearRegionsBtn.disabled = state.regions.length === 0;
+  
+  // Update background photo controls
+  const hasPhoto = state.background !== null;
+  elements.photoToggle.disabled = !hasPhoto;
+  elements.removePhotoBtn.disabled = !hasPhoto;
+  elements.photoToggle.classList.toggle('active', hasPhoto && state.includeBackground);
+  elements.photoToggle.setAttribute('aria-pressed', String(state.includeBackground));
+  
+  // Update live mode and backend
+  updateLiveToggle(elements, state.live);
+  elements.multiToggle.classList.toggle('active', state.multi);
+  elements.multiToggle.setAttribute('aria-pressed', String(state.multi));
+  elements.backendSelect.value = state.backendId;
   
   // Update caption
-  updateCaption(elements, state.caption);
+  updateCaption(elements, state.caption, state.captionCached);
+  updateAlternatives(elements, state.alternatives, state.acceptedIndex);
   
   // Update loading state
   const isLoading = state.status === 'loading';
   const isError = state.status === 'error';
   updateLoadingState(elements, isLoading, isError);
+  
+  // Update telephone chain
+  updateChain(elements, state.chain, state.chainHops);
+  
+  // Update Pictionary panel
+  updateGame(elements, state.game, state.rounds, prefs.gameRoundMs);
+  
+  // Update history panel
+  updateGallery(elements, state.gallery, state.galleryOpen);
+  
+  // Update replay panel
+  updateReplay(elements, state.replayOpen);
 }
@@ -1,89 +1,117 @@
 // AI integration and prompt management
 
+import { isEventStream, readEventStream } from './sse.js';
+import { fitContext, outputTokens } from './context.js';
+import { getPersona, dialInstruction, personaTemperature } from './personas.js';
+
+const PROXY_URL = 'https://itp-ima-replicate-proxy.web.app/api/create_n_get';
+const MODEL = 'meta/meta-llama-3-70b-instruct';
+
 /**
- * Get divergence instruction based on dial value
+ * Earlier paragraphs, so a regenerated paragraph stays consistent with the rest
+ * context is the result of fitContext(): recent pairs, plus summaries of older ones
  */
-function getDivergenceInstruction(dial) {
-  if (dial <= 20) {
-    return "offer gentle alternative framing; avoid confrontational language";
-  } else if (dial <= 60) {
-    return "present a clear opposing stance with concrete counterarguments";
-  } else {
-    return "take a strong opposing stance; challenge assumptions and propose alternative premises";
+function buildContext({ pairs, summary, elided }) {
+  let text = '';
+  if (elided > 0) {
+    text += `(${elided} earlier paragraph${elided === 1 ? '' : 's'} omitted)\n`;
+  }
+  if (summary.length) {
+    text += `Opening sentences of their older paragraphs (context only):\n${summary.join('\n')}\n\n`;
+  } else if (text) {
+    text += '\n';
   }
+  if (pairs.length === 0) return text;
+  text += `Their earlier paragraphs (context only):\n${pairs.map(pair => pair.userText).join('\n')}\n\n`;
+  const yours = pairs.map(pair => pair.aiText).filter(Boolean);
+  if (yours.length) {
+    text += `Your earlier paragraphs (stay consistent, do not repeat them):\n${yours.join('\n')}\n\n`;
+  }
+  return text;
 }
 
 /**
- * Build the complete prompt for the AI
+ * Build the complete prompt for the AI to answer one paragraph as a persona
  */
-function buildPrompt(userText, dial) {
+function buildPrompt(userText, dial, context, persona) {
   const system = `SYSTEM:
-You are an independent writer crafting your own text that mirrors another writer's structure but expresses contrarian views. Write as if you're a different person with opposing perspectives, experiences, and values.
-
-CRITICAL REQUIREMENTS:
-- Match the EXACT structure: same paragraph count, same sentence count per paragraph
-- Mirror the writing style, tone, and complexity level
-- Address the SAME specific topics and themes
-- Express naturally opposing viewpoints through different assumptions and experiences
-- Write with similar depth and nuance - if they're philosophical, be philosophical; if they're concrete, be concrete
-
-DO NOT:
-- Respond to or address the other writer
-- Use transitional phrases like "However," "But," "On the contrary"
-- Write generic opposites - be specific and substantive
-- Change the subject matter or level of abstraction
-
-DO:
-- Write as your own independent voice with contrarian experiences
-- Use parallel sentence structures when possible
-- Reference the same specific elements (places, emotions, concepts) but from opposing angles
-- Match their level of detail and introspection`;
-
-  const bucketInstruction = getDivergenceInstruction(dial);
-  
+${persona.system}`;
+
   const user = `USER:
-Another writer wrote:
+${buildContext(context)}Another writer wrote this paragraph:
 ${userText}
 
-Write your own independent text that mirrors their structure exactly but expresses contrarian perspectives. Divergence: ${dial} — ${bucketInstruction}
+${persona.task} ${persona.dialLabel}: ${dial} — ${dialInstruction(persona, dial)}
 
-Your contrarian text:`;
+${persona.answer}`;
 
   return `${system}\n\n${user}`;
 }
 
 /**
- * Calculate temperature based on dial value
+ * Pull the completion text out of a finished prediction
+ */
+function parseOutput(data) {
+  // Handle different response formats
+  if (Array.isArray(data.output)) {
+    return data.output.join('');
+  } else if (typeof data.output === 'string') {
+    return data.output;
+  } else if (typeof data === 'string') {
+    return data;
+  }
+  return JSON.stringify(data);
+}
+
+/**
+ * Accumulate streamed tokens, reporting the text so far after each one
+ * onText may return true to stop reading early
  */
-function getTemperature(dial) {
-  return 0.2 + 0.6 * (dial / 100);
+async function readOutputStream(response, onText) {
+  let text = '';
+  await readEventStream(response, ({ event, data }) => {
+    if (event === 'error') throw new Error(`Stream error: ${data}`);
+    if (event === 'done') return true;
+    if (event !== 'output' && event !== 'message') return false;
+    text += data;
+    return onText(text);
+  });
+  return text;
 }
 
 /**
- * Fetch counterpoint from the AI via proxy
+ * Fetch the counterpoint to one paragraph from the AI via proxy
+ * context is the earlier paragraphs fitted to the budget by fitContext(),
+ * and persona the voice to answer in (see personas.js)
+ *
+ * Tokens are streamed when the proxy relays an event stream or returns a
+ * prediction with a stream URL; otherwise the whole completion arrives at once.
+ * onText(textSoFar) is called as text arrives and may return true to stop early.
+ * Pass an AbortSignal to cancel the request and its stream.
  */
-export async function fetchCounterpoint({ userText, dial }) {
+export async function fetchCounterpoint({ userText, dial, context = fitContext([]), persona = getPersona(), signal, onText = () => false }) {
   if (!userText.trim()) {
     throw new Error('No text to process');
   }
 
-  const prompt = buildPrompt(userText, dial);
-  const temperature = getTemperature(dial);
+  const prompt = buildPrompt(userText, dial, context, persona);
+  const temperature = personaTemperature(persona, dial);
 
-  const response = await fetch('https://itp-ima-replicate-proxy.web.app/api/create_n_get', {
+  const response = await fetch(PROXY_URL, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json'
     },
+    signal,
     body: JSON.stringify({
-      model: 'meta/meta-llama-3-70b-instruct',
+      model: MODEL,
       input: {
         prompt,
         temperature,
         top_p: 0.9,
-        max_tokens: 400
+        max_tokens: outputTokens([userText])
       },
-      stream: false
+      stream: true
     })
   });
 
@@ -91,19 +119,25 @@ export async function fetchCounterpoint({ userText, dial }) {
     throw new Error(`Proxy error ${response.status}`);
   }
 
+  if (isEventStream(response)) {
+    return (await readOutputStream(response, onText)).trim();
+  }
+
   const data = await response.json();
   
-  // Handle different response formats
-  let output;
-  if (Array.isArray(data.output)) {
-    output = data.output.join('');
-  } else if (typeof data.output === 'string') {
-    output = data.output;
-  } else if (typeof data === 'string') {
-    output = data;
-  } else {
-    output = JSON.stringify(data);
+  // A prediction that is still running can be followed on its stream URL
+  if (data.urls?.stream && data.output == null) {
+    const stream = await fetch(data.urls.stream, {
+      headers: { Accept: 'text/event-stream' },
+      signal
+    });
+    if (!stream.ok) {
+      throw new Error(`Stream error ${stream.status}`);
+    }
+    return (await readOutputStream(stream, onText)).trim();
   }
 
-  return output.trim();
+  const output = parseOutput(data).trim();
+  onText(output);
+  return output;
 }
@@ -1,98 +1,442 @@
 // Main application bootstrap and event handling
 
-import { getElements, render } from './ui.js';
+import { 
+  getElements, 
+  render, 
+  updateTriggerDebug, 
+  fitEditor, 
+  downloadFile, 
+  openPersonaDialog, 
+  readPersonaForm, 
+  NEW_PERSONA,
+  syncScroll,
+  updateEditorTrack,
+  paragraphAtPoint,
+  updateSentenceSelection
+} from './ui.js';
 import { 
   createInitialState, 
   updateUserText, 
   updateDial, 
-  setLoading, 
-  setAiResponse, 
-  setError 
+  setPersona,
+  setPersonas,
+  setCaretParagraph,
+  setHoverParagraph,
+  selectSentence,
+  pushPull,
+  popPull,
+  canUndoPull,
+  setDiffOpen,
+  setLayout,
+  setNarrow,
+  staleSections,
+  setSectionLoading, 
+  setSectionStreaming,
+  setSectionText, 
+  setSectionError,
+  resetSection,
+  toDocument,
+  setSavedDocument,
+  loadDocument,
+  newDocument,
+  setDocuments,
+  setDocumentsOpen
 } from './state.js';
 import { fetchCounterpoint } from './ai.js';
-import { 
-  countWords, 
-  endsWithSentence, 
-  shouldSend, 
-  applySentenceGuard,
-  splitParagraphs 
-} from './util.js';
+import { createScheduler } from './scheduler.js';
+import { fitContext } from './context.js';
+import { DEFAULT_PERSONA, listPersonas, getPersona, saveCustomPersona, deleteCustomPersona } from './personas.js';
+import { saveDocument, getDocument, listDocuments, deleteDocument } from './documents.js';
+import { toMarkdown, toPlainText, serializeDocument, parseDocument } from './export.js';
+import { insertSentence, replaceSentence, appendQuote } from './pull.js';
+import { applySentenceGuard, guardPartial, joinLines, paragraphAt, splitSentences } from './util.js';
 
 // Global state
 let state = createInitialState();
 let elements = null;
 
+// Every request gets a sequence id, so an older answer can never replace a newer one
+let nextSeq = 1;
+
+// At most one request per section is in flight: { seq, controller, userText }
+const inFlight = new Map();
+
+// Sections with one follow-up request waiting for the one in flight to finish
+const queued = new Set();
+
+// Persona open in the editor dialog: a user persona, or the one a new persona starts from
+let personaDraft = null;
+
+// Caret offset in the full text, kept while focus is elsewhere
+let lastCaret = 0;
+
+// Pane being scrolled to follow the other, so its scroll event isn't echoed back
+let scrollFollower = null;
+
+// Autosave runs this long after the last change
+const SAVE_DELAY_MS = 1000;
+let saveTimer = null;
+let saveQueue = Promise.resolve();
+
+// Bumped whenever another document is opened, so a late save can't touch it
+let openCount = 0;
+
+// Send triggers; add ?debug to the URL to see which one fired
+const debug = new URLSearchParams(location.search).has('debug');
+const scheduler = createScheduler({
+  onTrigger: handleTrigger,
+  onChange: (status) => {
+    if (debug) updateTriggerDebug(elements, status);
+  }
+});
+
 /**
- * Handle user input and trigger AI responses
+ * Handle user input; the scheduler decides when to send
  */
-async function handleInput(text, now) {
+function handleInput(text, caret, now) {
   // Update state with new text
   state = updateUserText(state, text, now);
-  
-  // Get current paragraph for analysis
-  const paragraphs = splitParagraphs(text);
-  const currentParagraph = paragraphs[paragraphs.length - 1] || '';
-  const wordsInPara = countWords(currentParagraph);
-  const keystrokesInPara = currentParagraph.length;
-  const endedSentence = endsWithSentence(currentParagraph);
-  
-  // Check if we should send a request
-  const shouldSendRequest = shouldSend({
-    wordsInPara,
-    endedSentence,
-    keystrokesInPara,
-    lastSentAt: state.lastSentAt,
-    now
-  });
+  state = setCaretParagraph(state, paragraphAt(text, caret));
+  lastCaret = caret;
   
   // Render current state
   render(elements, state);
+  cancelAbandonedSections();
+  scheduleSave();
   
-  // Send request if conditions are met
-  if (shouldSendRequest && text.trim()) {
-    await sendAiRequest(text, now);
+  scheduler.input(text, caret);
+}
+
+/**
+ * Link the paragraph holding the editor's caret
+ */
+function handleCaretMove() {
+  if (!trackCaret()) return;
+  const index = paragraphAt(state.userText, lastCaret);
+  if (index === state.caretParagraph) return;
+  state = setCaretParagraph(state, index);
+  render(elements, state);
+}
+
+/**
+ * Link the paragraph under the pointer, in either pane (null when it leaves)
+ */
+function handleHover(index) {
+  if (index === state.hoverParagraph) return;
+  state = setHoverParagraph(state, index);
+  render(elements, state);
+}
+
+/**
+ * Scroll the other pane along with the one the user scrolled
+ */
+function handlePaneScroll(from, pane) {
+  if (pane === elements.editor) updateEditorTrack(elements);
+  updateSentenceSelection(elements, state);
+  if (pane === scrollFollower) return;
+  scrollFollower = syncScroll(elements, from);
+  // Its scroll event fires before the next frame; after that the user may scroll it again
+  requestAnimationFrame(() => {
+    scrollFollower = null;
+  });
+}
+
+/**
+ * Pick an AI sentence to pull into the text; picking it again drops it
+ */
+function handleSentenceClick(e) {
+  const span = e.target.closest('.aiSentence');
+  if (!span) return;
+  const selection = {
+    sectionId: Number(span.closest('.aiParagraph').dataset.sectionId),
+    index: Number(span.dataset.sentence)
+  };
+  const current = state.selectedSentence;
+  const same = current?.sectionId === selection.sectionId && current.index === selection.index;
+  state = selectSentence(state, same ? null : selection);
+  render(elements, state);
+}
+
+/**
+ * Pull the selected AI sentence into the user's text
+ * 'insert' puts it at the caret, 'replace' swaps it for the user's sentence
+ * it answers, and 'quote' appends it to that paragraph in quotation marks
+ */
+function pullSentence(action) {
+  const { sectionId, index } = state.selectedSentence;
+  const sourceIndex = state.sections.findIndex(section => section.id === sectionId);
+  const sentence = sourceIndex === -1 ? null : splitSentences(state.sections[sourceIndex].aiText)[index];
+  state = selectSentence(state, null);
+  if (!sentence) {
+    render(elements, state);
+    return;
+  }
+  
+  if (action === 'insert') {
+    const target = paragraphAt(state.userText, lastCaret);
+    const offset = lastCaret - sectionStart(target);
+    const paragraph = insertSentence(state.sections[target].userText, offset, sentence);
+    editParagraph(target, paragraph, `Inserted into ¶${target + 1}`, offset + paragraph.length - state.sections[target].userText.length);
+  } else if (action === 'replace') {
+    const paragraph = replaceSentence(state.sections[sourceIndex].userText, index, sentence);
+    editParagraph(sourceIndex, paragraph, `Replaced sentence ${index + 1} of ¶${sourceIndex + 1}`);
+  } else if (action === 'quote') {
+    const paragraph = appendQuote(state.sections[sourceIndex].userText, sentence);
+    editParagraph(sourceIndex, paragraph, `Quoted at the end of ¶${sourceIndex + 1}`);
   }
 }
 
 /**
- * Send request to AI and handle response
+ * Change one paragraph of the user's text and record it so it can be undone
  */
-async function sendAiRequest(userText, now) {
-  // Prevent multiple simultaneous requests
-  if (state.status === 'loading') {
+function editParagraph(index, paragraph, label, caretOffset = paragraph.length) {
+  const { id, userText } = state.sections[index];
+  if (paragraph === userText) {
+    render(elements, state);
     return;
   }
+  state = pushPull(state, { sectionId: id, label, before: userText, after: paragraph });
+  replaceParagraph(index, paragraph, caretOffset);
+}
+
+/**
+ * Undo the latest pull, if its paragraph hasn't been edited since
+ */
+function undoPull() {
+  if (!canUndoPull(state)) return;
+  const pull = state.pulls[state.pulls.length - 1];
+  const index = state.sections.findIndex(section => section.id === pull.sectionId);
+  state = popPull(state);
+  replaceParagraph(index, pull.before, pull.before.length);
+}
+
+/**
+ * Put new text into one paragraph as if typed, leaving the caret at an offset in it
+ */
+function replaceParagraph(index, paragraph, caretOffset) {
+  const paragraphs = state.sections.map(section => section.userText);
+  paragraphs[index] = paragraph;
+  const text = paragraphs.join('\n');
+  const caret = sectionStart(index) + caretOffset;
+  
+  elements.editor.value = text;
+  handleInput(text, caret, Date.now());
+  focusEditorAt(caret);
+}
+
+/**
+ * Offset in the full text where a section's paragraph starts
+ */
+function sectionStart(index) {
+  return state.sections.slice(0, index).reduce((offset, section) => offset + section.userText.length + 1, 0);
+}
+
+/**
+ * Put the caret at an offset of the full text inside the stacked section holding it
+ */
+function focusStackCaret(caret) {
+  let index = 0;
+  while (index < state.sections.length - 1 && sectionStart(index + 1) <= caret) index++;
+  const editor = elements.stack.querySelector(`.sectionEditor[data-id="${state.sections[index].id}"]`);
+  const offset = caret - sectionStart(index);
+  editor.focus();
+  editor.setSelectionRange(offset, offset);
+}
+
+/**
+ * Handle typing in a stacked section editor: rebuild the full text around it
+ * Enter splits the section; the new paragraph gets its own section and editor
+ */
+function handleStackInput(e) {
+  const editor = e.target;
+  const index = state.sections.findIndex(section => String(section.id) === editor.dataset.id);
+  const paragraphs = state.sections.map(section => section.userText);
+  paragraphs[index] = editor.value;
+  
+  const text = paragraphs.join('\n');
+  const caret = sectionStart(index) + editor.selectionStart;
+  const count = state.sections.length;
+  
+  elements.editor.value = text;
+  fitEditor(editor);
+  handleInput(text, caret, Date.now());
+  if (state.sections.length !== count) focusStackCaret(caret);
+}
+
+/**
+ * Backspace at the start of a stacked section joins it to the one above
+ */
+function handleStackKeydown(e) {
+  const editor = e.target;
+  if (e.key !== 'Backspace' || editor.selectionStart !== 0 || editor.selectionEnd !== 0) return;
+  const index = state.sections.findIndex(section => String(section.id) === editor.dataset.id);
+  if (index <= 0) return;
+  
+  e.preventDefault();
+  const caret = sectionStart(index) - 1;
+  const text = state.userText.slice(0, caret) + state.userText.slice(caret + 1);
+  elements.editor.value = text;
+  handleInput(text, caret, Date.now());
+  focusStackCaret(caret);
+}
+
+/**
+ * Remember the caret's offset in the full text, from whichever editor has focus
+ * Returns false when focus is in neither
+ */
+function trackCaret() {
+  const active = document.activeElement;
+  if (active === elements.editor) {
+    lastCaret = active.selectionStart;
+  } else if (active?.classList.contains('sectionEditor')) {
+    const index = state.sections.findIndex(section => String(section.id) === active.dataset.id);
+    lastCaret = sectionStart(index) + active.selectionStart;
+  } else {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Switch layout, keeping the caret where it was
+ */
+function handleLayoutChange(layout) {
+  const caret = Math.min(lastCaret, state.userText.length);
+  state = setLayout(state, layout);
+  render(elements, state);
+  focusEditorAt(caret);
+}
+
+/**
+ * Follow the viewport size while the layout is automatic
+ */
+function handleViewportChange(narrow) {
+  state = setNarrow(state, narrow);
+  render(elements, state);
+}
+
+/**
+ * Focus whichever editor the current layout shows
+ */
+function focusEditorAt(caret) {
+  if (elements.stack.hidden) {
+    elements.editor.focus();
+    elements.editor.setSelectionRange(caret, caret);
+  } else {
+    focusStackCaret(caret);
+  }
+}
+
+/**
+ * Regenerate every paragraph whose text changed since its AI paragraph was written,
+ * unless a request for that exact text is already in flight; stable paragraphs are left alone
+ */
+function handleTrigger(trigger) {
+  if (!state.userText.trim()) return;
+  
+  staleSections(state)
+    .filter(section => inFlight.get(section.id)?.userText !== section.userText)
+    .forEach(section => requestSection(section.id, trigger.at));
+}
+
+/**
+ * Ask for a paragraph's counterpoint, latest text wins
+ *
+ * A request already in flight for the section finishes, and a single
+ * follow-up is queued to run after it with whatever the text is by then.
+ */
+function requestSection(id, now) {
+  if (inFlight.has(id)) {
+    queued.add(id);
+    return;
+  }
+  sendAiRequest(id, now);
+}
+
+/**
+ * Send the queued follow-up for a section if its text still needs an answer
+ */
+function runFollowUp(id) {
+  if (!queued.delete(id)) return;
+  const section = state.sections.find(candidate => candidate.id === id);
+  if (section?.userText.trim() && section.userText !== section.sourceText) {
+    sendAiRequest(id, Date.now());
+  }
+}
+
+/**
+ * Cancel requests for paragraphs that were deleted or emptied
+ */
+function cancelAbandonedSections() {
+  inFlight.forEach((request, id) => {
+    if (state.sections.some(section => section.id === id && section.userText.trim())) return;
+    request.controller.abort();
+    inFlight.delete(id);
+    queued.delete(id);
+  });
+}
+
+/**
+ * Send one paragraph to the AI and handle its response
+ */
+async function sendAiRequest(id, now) {
+  const index = state.sections.findIndex(section => section.id === id);
+  const { userText } = state.sections[index];
+  // Earlier paragraphs, trimmed to the context budget when the document is long
+  const context = fitContext(state.sections.slice(0, index).filter(section => section.userText.trim()));
+  
+  const request = { seq: nextSeq++, controller: new AbortController(), userText };
+  inFlight.set(id, request);
   
   try {
     // Set loading state
-    state = setLoading(state, now);
+    state = setSectionLoading(state, id, now, context.trimmed);
     render(elements, state);
     
     // Fetch AI response
     const aiResponse = await fetchCounterpoint({
       userText,
-      dial: state.currentDial
+      dial: state.currentDial,
+      persona: getPersona(state.personaId),
+      context,
+      signal: request.controller.signal,
+      onText: (partial) => {
+        // Guard as tokens arrive, and stop reading once the paragraph is long enough
+        const { text, full } = guardPartial(joinLines(partial), userText);
+        state = setSectionStreaming(state, id, text, request.seq);
+        render(elements, state);
+        return full;
+      }
     });
     
-    // Apply sentence guard to ensure proper paragraph/sentence matching
-    const guardedResponse = applySentenceGuard(aiResponse, userText);
+    // Apply sentence guard so the paragraph never outgrows the user's
+    const guardedResponse = applySentenceGuard(joinLines(aiResponse), userText);
     
     // Update state with response
-    state = setAiResponse(state, guardedResponse);
+    state = setSectionText(state, id, guardedResponse, userText, request.seq);
     render(elements, state);
+    scheduleSave();
     
   } catch (error) {
+    // The paragraph is gone, or another document was opened
+    if (error.name === 'AbortError') return;
+    
     console.error('AI request failed:', error);
-    state = setError(state);
+    state = setSectionError(state, id);
     render(elements, state);
     
     // Auto-retry after a delay on error
     setTimeout(() => {
-      if (state.status === 'error') {
-        state = { ...state, status: 'idle' };
+      if (state.sections.some(section => section.id === id && section.status === 'error')) {
+        state = resetSection(state, id);
         render(elements, state);
       }
     }, 3000);
+  } finally {
+    if (inFlight.get(id) === request) {
+      inFlight.delete(id);
+      runFollowUp(id);
+    }
   }
 }
 
@@ -102,6 +446,202 @@ async function sendAiRequest(userText, now) {
 function handleDialChange(value) {
   state = updateDial(state, parseInt(value, 10));
   render(elements, state);
+  scheduleSave();
+}
+
+/**
+ * Switch persona from the toolbar, or start a new one from the current persona
+ */
+function handlePersonaChange(value) {
+  if (value === NEW_PERSONA) {
+    const current = getPersona(state.personaId);
+    personaDraft = { ...current, id: undefined, custom: true, name: `${current.name} (copy)` };
+    render(elements, state);
+    openPersonaDialog(elements, personaDraft, { deletable: false });
+    return;
+  }
+  state = setPersona(state, value);
+  render(elements, state);
+  scheduleSave();
+}
+
+/**
+ * Edit the current user persona
+ */
+function editPersona() {
+  personaDraft = getPersona(state.personaId);
+  openPersonaDialog(elements, personaDraft, { deletable: true });
+}
+
+/**
+ * Save the persona editor and switch to the saved persona
+ */
+function handlePersonaSubmit(e) {
+  if (e.submitter?.value !== 'save') return;
+  const saved = saveCustomPersona(readPersonaForm(elements, personaDraft));
+  state = setPersonas(state, listPersonas());
+  handlePersonaChange(saved.id);
+}
+
+/**
+ * Delete the user persona open in the editor
+ */
+function handlePersonaDelete() {
+  if (!confirm(`Delete persona "${personaDraft.name}"?`)) return;
+  deleteCustomPersona(personaDraft.id);
+  elements.personaDialog.close();
+  state = setPersonas(state, listPersonas());
+  handlePersonaChange(DEFAULT_PERSONA);
+}
+
+/**
+ * Save the document shortly after the last change
+ */
+function scheduleSave() {
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(saveNow, SAVE_DELAY_MS);
+}
+
+/**
+ * Save the document now, after any save still running
+ * Saves go one at a time, so a new document is added once and later saves see its id
+ */
+function saveNow() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  saveQueue = saveQueue.then(writeDocument);
+  return saveQueue;
+}
+
+/**
+ * Write the open document; an empty, never-saved document isn't stored
+ */
+async function writeDocument() {
+  if (state.docId === null && !state.userText.trim()) return;
+  
+  const doc = toDocument(state);
+  const opened = openCount;
+  const now = Date.now();
+  try {
+    const id = await saveDocument(doc, now);
+    if (doc.id === undefined && opened === openCount) {
+      state = setSavedDocument(state, id, now);
+    }
+    await refreshDocuments();
+  } catch (error) {
+    console.error('Autosave failed:', error);
+  }
+}
+
+/**
+ * Reload the saved documents list
+ */
+async function refreshDocuments() {
+  state = setDocuments(state, await listDocuments());
+  render(elements, state);
+}
+
+/**
+ * Abort every request and queued follow-up, before switching documents
+ */
+function cancelAllRequests() {
+  inFlight.forEach(request => request.controller.abort());
+  inFlight.clear();
+  queued.clear();
+  scheduler.reset();
+}
+
+/**
+ * Replace the open document, saving the current one first
+ */
+async function switchDocument(update) {
+  if (saveTimer !== null) await saveNow();
+  cancelAllRequests();
+  openCount++;
+  state = update(state);
+  elements.editor.value = state.userText;
+  render(elements, state);
+  focusEditorAt(state.userText.length);
+}
+
+/**
+ * Open a saved document
+ */
+async function openDocument(id) {
+  try {
+    const doc = await getDocument(id);
+    if (doc) await switchDocument(current => loadDocument(current, doc));
+  } catch (error) {
+    console.error('Could not open document:', error);
+    alert(`Could not open this document: ${error.message}`);
+  }
+}
+
+/**
+ * Handle clicks in the documents list
+ */
+async function handleDocumentsClick(e) {
+  const button = e.target.closest('button[data-action]');
+  if (!button) return;
+  
+  const id = Number(button.closest('.docItem').dataset.id);
+  if (button.dataset.action === 'open') {
+    if (id !== state.docId) await openDocument(id);
+  } else if (button.dataset.action === 'delete') {
+    const doc = state.documents.find(candidate => candidate.id === id);
+    if (!confirm(`Delete "${doc?.title}"?`)) return;
+    try {
+      if (id === state.docId) {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+        await switchDocument(newDocument);
+      }
+      await deleteDocument(id);
+      await refreshDocuments();
+    } catch (error) {
+      console.error('Could not delete document:', error);
+      alert(`Could not delete "${doc?.title}": ${error.message}`);
+    }
+  }
+}
+
+/**
+ * File name for an export of the open document
+ */
+function exportName(title, extension) {
+  const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'untitled';
+  return `${slug}.${extension}`;
+}
+
+/**
+ * Download the open document in one of the export formats
+ */
+function exportDocument(format) {
+  const doc = toDocument(state);
+  if (format === 'markdown-columns') {
+    downloadFile(exportName(doc.title, 'md'), toMarkdown(doc, { layout: 'columns' }), 'text/markdown');
+  } else if (format === 'markdown-interleaved') {
+    downloadFile(exportName(doc.title, 'md'), toMarkdown(doc, { layout: 'interleaved' }), 'text/markdown');
+  } else if (format === 'json') {
+    downloadFile(exportName(doc.title, 'json'), serializeDocument({ ...doc, updatedAt: Date.now() }));
+  } else if (format === 'text') {
+    downloadFile(exportName(doc.title, 'txt'), toPlainText(doc), 'text/plain');
+  }
+}
+
+/**
+ * Import a JSON export as a new document and open it
+ */
+async function importDocument(file) {
+  try {
+    const doc = parseDocument(await file.text());
+    const id = await saveDocument(doc);
+    await refreshDocuments();
+    await openDocument(id);
+  } catch (error) {
+    console.error('Import failed:', error);
+    alert(`Could not import ${file.name}: ${error.message}`);
+  }
 }
 
 /**
@@ -110,25 +650,124 @@ function handleDialChange(value) {
 function setupEventListeners() {
   // Editor input handling
   elements.editor.addEventListener('input', (e) => {
-    handleInput(e.target.value, Date.now());
+    handleInput(e.target.value, e.target.selectionStart, Date.now());
+  });
+  
+  // Paragraph linking between the split panes
+  document.addEventListener('selectionchange', handleCaretMove);
+  elements.editor.addEventListener('mousemove', (e) => {
+    handleHover(paragraphAtPoint(elements, e.clientY));
+  });
+  elements.editor.addEventListener('mouseleave', () => handleHover(null));
+  elements.aiContent.addEventListener('mouseover', (e) => {
+    const paragraph = e.target.closest('.aiParagraph');
+    if (paragraph) handleHover(Array.from(elements.aiContent.children).indexOf(paragraph));
+  });
+  elements.aiContent.addEventListener('mouseleave', () => handleHover(null));
+  
+  // Pulling AI sentences into the text
+  elements.aiContent.addEventListener('click', handleSentenceClick);
+  elements.stack.addEventListener('click', handleSentenceClick);
+  elements.stack.addEventListener('scroll', () => updateSentenceSelection(elements, state));
+  elements.sentenceActions.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-pull]');
+    if (button) pullSentence(button.dataset.pull);
+  });
+  elements.diffUndoBtn.addEventListener('click', undoPull);
+  elements.pullUndoBtn.addEventListener('click', undoPull);
+  elements.diffCloseBtn.addEventListener('click', () => {
+    state = setDiffOpen(state, false);
+    render(elements, state);
+  });
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && state.selectedSentence) {
+      state = selectSentence(state, null);
+      render(elements, state);
+    }
+    // Ctrl+Z is left to the editor's own undo; the code, not the key, because Alt changes it on macOS
+    if ((e.ctrlKey || e.metaKey) && e.altKey && e.code === 'KeyZ' && canUndoPull(state)) {
+      e.preventDefault();
+      undoPull();
+    }
   });
   
+  // Scroll the panes together, and re-align when the editor is resized
+  elements.editor.addEventListener('scroll', () => handlePaneScroll('user', elements.editor));
+  elements.aiContent.addEventListener('scroll', () => handlePaneScroll('ai', elements.aiContent));
+  new ResizeObserver(() => render(elements, state)).observe(elements.editor);
+  
   // Dial change handling
   elements.dial.addEventListener('input', (e) => {
     handleDialChange(e.target.value);
   });
   
-  // Focus editor on load
-  elements.editor.focus();
+  // Persona picker and editor
+  elements.personaSelect.addEventListener('change', (e) => {
+    handlePersonaChange(e.target.value);
+  });
+  elements.personaEditBtn.addEventListener('click', editPersona);
+  elements.personaForm.addEventListener('submit', handlePersonaSubmit);
+  elements.personaDeleteBtn.addEventListener('click', handlePersonaDelete);
+  
+  // Stacked layout editing
+  elements.stack.addEventListener('input', handleStackInput);
+  elements.stack.addEventListener('keydown', handleStackKeydown);
+  
+  // Layout: chosen in the toolbar, or by viewport width when automatic
+  elements.layoutSelect.addEventListener('change', (e) => {
+    handleLayoutChange(e.target.value);
+  });
+  const narrowQuery = window.matchMedia('(max-width: 700px)');
+  narrowQuery.addEventListener('change', (e) => handleViewportChange(e.matches));
+  state = setNarrow(state, narrowQuery.matches);
+  
+  // Documents panel
+  elements.docsToggle.addEventListener('click', () => {
+    state = setDocumentsOpen(state, !state.documentsOpen);
+    render(elements, state);
+  });
+  elements.docsList.addEventListener('click', handleDocumentsClick);
+  elements.newDocBtn.addEventListener('click', () => switchDocument(newDocument));
+  elements.exportButtons.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-export]');
+    if (button) exportDocument(button.dataset.export);
+  });
+  elements.importBtn.addEventListener('click', () => elements.importInput.click());
+  elements.importInput.addEventListener('change', (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (file) importDocument(file);
+  });
+  
+  // Don't lose the last second of typing
+  window.addEventListener('pagehide', () => {
+    if (saveTimer !== null) saveNow();
+  });
 }
 
 /**
  * Initialize the application
  */
-function init() {
+async function init() {
   elements = getElements();
+  elements.triggerDebug.hidden = !debug;
+  state = setPersonas(state, listPersonas());
   setupEventListeners();
   render(elements, state);
+  
+  // Focus editor on load
+  focusEditorAt(0);
+  
+  // Reopen the most recently edited document
+  try {
+    await refreshDocuments();
+    const [latest] = state.documents;
+    if (latest && state.docId === null && !state.userText) {
+      await switchDocument(current => loadDocument(current, latest));
+    }
+  } catch (error) {
+    console.error('Could not load documents:', error);
+  }
 }
 
 // Start the app when DOM is loaded
@@ -0,0 +1,77 @@
+// Context budget: how much of the document goes into each prompt
+//
+// Token counts are estimated from characters (about 4 per token for English),
+// which is close enough to stay under limits without shipping a tokenizer.
+// Recent paragraphs are kept whole; older ones are summarized to their first
+// sentence, and elided entirely once the summary budget runs out too.
+
+export const CONTEXT_BUDGET = {
+  contextTokens: 1000, // earlier paragraphs, ~4000 characters
+  summaryTokens: 250, // first sentences of paragraphs that didn't fit
+  outputTokensPerParagraph: 32, // headroom on top of the paragraph's own length
+  maxOutputTokens: 1024
+};
+
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Rough token count for a piece of text
+ */
+export function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * First sentence of a paragraph, as its summary
+ */
+function firstSentence(text) {
+  const match = text.trim().match(/^.*?[.!?](?=\s|$)/);
+  return match ? match[0] : text.trim();
+}
+
+/**
+ * Fit earlier { userText, aiText } paragraph pairs into the context budget
+ * Returns the pairs kept whole, first-sentence summaries of older paragraphs,
+ * how many were left out entirely, and whether anything was trimmed
+ */
+export function fitContext(pairs, budget = CONTEXT_BUDGET) {
+  let used = 0;
+  let start = pairs.length;
+  // Walk back from the newest, keeping whole pairs while they fit
+  while (start > 0) {
+    const pair = pairs[start - 1];
+    const cost = estimateTokens(pair.userText) + estimateTokens(pair.aiText);
+    if (used + cost > budget.contextTokens) break;
+    used += cost;
+    start--;
+  }
+
+  const older = pairs.slice(0, start);
+  const summary = [];
+  let summaryUsed = 0;
+  for (let i = older.length - 1; i >= 0; i--) {
+    const sentence = firstSentence(older[i].userText);
+    const cost = estimateTokens(sentence);
+    if (summaryUsed + cost > budget.summaryTokens) break;
+    summaryUsed += cost;
+    summary.unshift(sentence);
+  }
+
+  return {
+    pairs: pairs.slice(start),
+    summary,
+    elided: older.length - summary.length,
+    trimmed: older.length > 0
+  };
+}
+
+/**
+ * Output token limit for answering the given paragraphs: each one's length plus headroom
+ */
+export function outputTokens(paragraphs, budget = CONTEXT_BUDGET) {
+  const total = paragraphs.reduce(
+    (sum, paragraph) => sum + Math.ceil(estimateTokens(paragraph) * 1.2) + budget.outputTokensPerParagraph,
+    0
+  );
+  return Math.min(budget.maxOutputTokens, total);
+}
@@ -0,0 +1,77 @@
+// Documents stored in IndexedDB
+
+const DB_NAME = 'ai-collab-input';
+const DB_VERSION = 1;
+const STORE = 'documents';
+
+let dbPromise = null;
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open (and create on first use) the documents database
+ */
+function openDb() {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE)) {
+        db.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+      }
+    };
+    dbPromise = promisify(request);
+  }
+  return dbPromise;
+}
+
+/**
+ * Get the documents store in a new transaction
+ */
+async function getStore(mode = 'readonly') {
+  const db = await openDb();
+  return db.transaction(STORE, mode).objectStore(STORE);
+}
+
+/**
+ * Save a document and return its id; documents without an id are added
+ */
+export async function saveDocument(doc, now = Date.now()) {
+  const store = await getStore('readwrite');
+  const { id, ...fields } = doc;
+  const record = { ...fields, createdAt: doc.createdAt ?? now, updatedAt: now };
+  return promisify(id == null ? store.add(record) : store.put({ ...record, id }));
+}
+
+/**
+ * Load one document, or undefined
+ */
+export async function getDocument(id) {
+  const store = await getStore();
+  return promisify(store.get(id));
+}
+
+/**
+ * List all documents, most recently edited first
+ */
+export async function listDocuments() {
+  const store = await getStore();
+  const docs = await promisify(store.getAll());
+  return docs.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Delete a document
+ */
+export async function deleteDocument(id) {
+  const store = await getStore('readwrite');
+  return promisify(store.delete(id));
+}
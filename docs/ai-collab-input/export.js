@@ -0,0 +1,108 @@
+// Document export (Markdown, JSON, plain text) and JSON import
+
+import { getPersona } from './personas.js';
+
+const DOCUMENT_FORMAT = 'ai-collab-document';
+const DOCUMENT_VERSION = 1;
+
+/**
+ * Paragraph pairs worth exporting (blank paragraphs only separate text)
+ */
+function pairs(doc) {
+  return doc.sections.filter(section => section.userText.trim());
+}
+
+/**
+ * Escape text for a Markdown table cell
+ */
+function escapeCell(text) {
+  return text.replace(/\|/g, '\\|');
+}
+
+/**
+ * Markdown with the two voices side by side in a table, or interleaved
+ * with each counterpoint quoted under its paragraph
+ */
+export function toMarkdown(doc, { layout = 'columns' } = {}) {
+  const persona = getPersona(doc.persona);
+  const heading = `# ${doc.title}\n\n_${persona.name}, ${persona.dialLabel.toLowerCase()} ${doc.dial}_\n\n`;
+
+  if (layout === 'interleaved') {
+    return heading + pairs(doc)
+      .map(section => `${section.userText}\n\n> ${section.aiText || '…'}`)
+      .join('\n\n') + '\n';
+  }
+
+  const rows = pairs(doc).map(section => `| ${escapeCell(section.userText)} | ${escapeCell(section.aiText)} |`);
+  return `${heading}| Writer | ${escapeCell(persona.name)} |\n| --- | --- |\n${rows.join('\n')}\n`;
+}
+
+/**
+ * Plain text: the writer's text, then the counterpoint
+ */
+export function toPlainText(doc) {
+  const ai = doc.sections.map(section => section.aiText).join('\n');
+  return `${doc.title}\n\n${doc.userText}\n\n---\n\n${ai}\n`;
+}
+
+/**
+ * Serialize a document, with every paragraph's AI versions, as JSON
+ */
+export function serializeDocument(doc) {
+  return JSON.stringify({
+    format: DOCUMENT_FORMAT,
+    version: DOCUMENT_VERSION,
+    title: doc.title,
+    dial: doc.dial,
+    persona: doc.persona,
+    userText: doc.userText,
+    sections: doc.sections,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt
+  }, null, 2);
+}
+
+/**
+ * Read one exported paragraph, checking its shape
+ */
+function parseSection(section, index) {
+  if (!section || typeof section.userText !== 'string') {
+    throw new Error(`Paragraph ${index + 1} has no text`);
+  }
+  const text = (value) => (typeof value === 'string' ? value : '');
+  return {
+    userText: section.userText,
+    aiText: text(section.aiText),
+    sourceText: text(section.sourceText),
+    history: Array.isArray(section.history)
+      ? section.history.map(version => ({ aiText: text(version?.aiText), sourceText: text(version?.sourceText) }))
+      : []
+  };
+}
+
+/**
+ * Parse a JSON document export
+ */
+export function parseDocument(text) {
+  const data = JSON.parse(text);
+
+  if (!data || data.format !== DOCUMENT_FORMAT) {
+    throw new Error('Not a counterpoint document');
+  }
+  if (data.version > DOCUMENT_VERSION) {
+    throw new Error(`Unsupported document version ${data.version}`);
+  }
+  if (!Array.isArray(data.sections)) {
+    throw new Error('Document has no paragraphs');
+  }
+
+  const sections = data.sections.map(parseSection);
+  return {
+    title: typeof data.title === 'string' ? data.title : 'Untitled',
+    dial: Number.isFinite(data.dial) ? Math.max(0, Math.min(100, data.dial)) : 50,
+    persona: typeof data.persona === 'string' ? data.persona : undefined,
+    // The paragraphs are the source of truth for the text
+    userText: sections.map(section => section.userText).join('\n'),
+    sections
+  };
+}
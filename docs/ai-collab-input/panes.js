@@ -0,0 +1,103 @@
+// Split pane geometry: where each paragraph sits in the two panes
+//
+// A textarea can't report where its lines wrap, so the user's paragraphs are
+// measured in a hidden copy of the editor with the same width and font. The
+// AI paragraphs are then pushed down to start level with their counterparts.
+// Positions are { top, height } in each pane's scroll coordinates.
+
+const MIRRORED_STYLES = [
+  'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+  'fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'letterSpacing', 'lineHeight',
+  'tabSize', 'textTransform', 'wordSpacing'
+];
+
+let mirror = null;
+let mirroredKey = null;
+let userBoxes = [];
+
+/**
+ * Hidden element laid out like the editor, created on first use
+ */
+function getMirror(editor) {
+  if (!mirror) {
+    mirror = document.createElement('div');
+    mirror.setAttribute('aria-hidden', 'true');
+    Object.assign(mirror.style, {
+      position: 'absolute',
+      top: '0',
+      left: '0',
+      visibility: 'hidden',
+      pointerEvents: 'none',
+      whiteSpace: 'pre-wrap',
+      overflowWrap: 'break-word',
+      boxSizing: 'border-box'
+    });
+    editor.parentElement.append(mirror);
+  }
+  return mirror;
+}
+
+/**
+ * Boxes of the user's paragraphs in the editor; re-measured only when the text or width changed
+ */
+export function measureUserParagraphs(editor, paragraphs) {
+  const key = `${editor.clientWidth}\n${paragraphs.join('\n')}`;
+  if (key === mirroredKey) return userBoxes;
+
+  const copy = getMirror(editor);
+  const style = getComputedStyle(editor);
+  MIRRORED_STYLES.forEach(name => {
+    copy.style[name] = style[name];
+  });
+  // clientWidth leaves out the scrollbar, which narrows the text too
+  copy.style.width = `${editor.clientWidth}px`;
+  // An empty paragraph is still one line tall
+  copy.replaceChildren(...paragraphs.map(paragraph => {
+    const line = document.createElement('div');
+    line.textContent = paragraph || '\u200b';
+    return line;
+  }));
+
+  userBoxes = Array.from(copy.children, line => ({ top: line.offsetTop, height: line.offsetHeight }));
+  mirroredKey = key;
+  return userBoxes;
+}
+
+/**
+ * Push each AI paragraph down to start level with its user paragraph
+ * A long AI paragraph can't pull the user's text down, so the ones after it start late
+ * Returns the AI paragraphs' boxes
+ */
+export function alignAiParagraphs(aiParagraphs, boxes) {
+  // Read every height before writing any margin, to lay out only once
+  const heights = aiParagraphs.map(paragraph => paragraph.offsetHeight);
+  let bottom = 0;
+  return aiParagraphs.map((paragraph, i) => {
+    const top = Math.max(bottom, boxes[i]?.top ?? bottom);
+    paragraph.style.marginTop = `${top - bottom}px`;
+    bottom = top + heights[i];
+    return { top, height: heights[i] };
+  });
+}
+
+/**
+ * Index of the paragraph box containing a scroll offset
+ */
+export function boxAt(boxes, offset) {
+  let index = 0;
+  while (index < boxes.length - 1 && boxes[index + 1].top <= offset) index++;
+  return index;
+}
+
+/**
+ * Map a scroll offset in one pane to the matching offset in the other,
+ * at the same relative position inside the counterpart paragraph
+ */
+export function mapScroll(offset, fromBoxes, toBoxes) {
+  if (!fromBoxes.length || !toBoxes.length) return offset;
+  const index = Math.min(boxAt(fromBoxes, offset), toBoxes.length - 1);
+  const from = fromBoxes[index];
+  const to = toBoxes[index];
+  const fraction = from.height ? Math.min(1, Math.max(0, (offset - from.top) / from.height)) : 0;
+  return to.top + fraction * to.height;
+}
@@ -0,0 +1,96 @@
+// Pulling AI sentences into the user's text, and word diffs of the result
+//
+// Every action edits a single paragraph, so it can be shown as a diff of
+// that paragraph and undone by putting the old paragraph back.
+
+import { splitSentences } from './util.js';
+
+/**
+ * Insert a sentence into a paragraph at an offset, spacing it from its neighbours
+ */
+export function insertSentence(paragraph, offset, sentence) {
+  const before = paragraph.slice(0, offset);
+  const after = paragraph.slice(offset);
+  const lead = before && !/\s$/.test(before) ? ' ' : '';
+  const trail = after && !/^\s/.test(after) ? ' ' : '';
+  return `${before}${lead}${sentence.trim()}${trail}${after}`;
+}
+
+/**
+ * A paragraph's sentences, counted the way AI sentences are: an unfinished
+ * last sentence without closing punctuation is a sentence too, so in
+ * "One. Two" sentence 1 is " Two"; trailing whitespace is kept apart as rest
+ */
+function userSentences(paragraph) {
+  const text = paragraph.trimEnd();
+  const sentences = splitSentences(text);
+  const tail = text.slice(sentences.join('').length);
+  if (tail.trim()) sentences.push(tail);
+  return { sentences, rest: paragraph.slice(text.length) };
+}
+
+/**
+ * Replace the paragraph's sentence at index, or add to the end when it has fewer sentences
+ */
+export function replaceSentence(paragraph, index, sentence) {
+  const { sentences, rest } = userSentences(paragraph);
+  if (index >= sentences.length) return insertSentence(paragraph, paragraph.trimEnd().length, sentence);
+
+  const leading = sentences[index].match(/^\s*/)[0];
+  sentences[index] = leading + sentence.trim();
+  return sentences.join('') + rest;
+}
+
+/**
+ * Append a sentence to the end of a paragraph as a quotation
+ */
+export function appendQuote(paragraph, sentence) {
+  return insertSentence(paragraph, paragraph.trimEnd().length, `“${sentence.trim()}”`);
+}
+
+/**
+ * Split text into words and the whitespace between them
+ */
+function tokenize(text) {
+  return text.match(/\s+|\S+/g) || [];
+}
+
+/**
+ * Word diff between two versions of a paragraph: [{ type: 'same' | 'added' | 'removed', text }]
+ */
+export function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last?.type === type) last.text += text;
+    else parts.push({ type, text });
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('same', a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+  return parts;
+}
@@ -0,0 +1,162 @@
+// Send scheduler: decides when typing should trigger an AI request
+//
+// Rules are checked on every input, and an idle timer fires after a pause.
+// Triggers that land inside the cooldown are held and fire when it ends.
+// Time comes from an injected clock, so a fake clock can drive it in tests.
+
+import { countWords, endsWithSentence, splitParagraphs, paragraphAt } from './util.js';
+
+export const DEFAULT_RULES = {
+  sentenceEnd: true, // terminal punctuation typed
+  words: 5, // every N words in the active paragraph (0 disables)
+  idleMs: 5000, // pause after typing (0 disables)
+  paragraphBreak: true, // Enter starts a new paragraph
+  cooldownMs: 800 // minimum gap between triggers
+};
+
+export const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (id) => clearTimeout(id)
+};
+
+/**
+ * Describe the input at the caret: paragraph index, its finished words, and the text typed before the caret
+ */
+function readInput(text, caret) {
+  const start = text.lastIndexOf('\n', caret - 1) + 1;
+  const paragraphs = splitParagraphs(text);
+  const paragraph = paragraphAt(text, caret);
+  // A word still being typed doesn't count yet
+  const finished = (paragraphs[paragraph] || '').replace(/\S+$/, '');
+  return {
+    text,
+    caret,
+    paragraph,
+    paragraphs: paragraphs.length,
+    words: countWords(finished),
+    beforeCaret: text.slice(start, caret)
+  };
+}
+
+/**
+ * Whether the edit from previous to current inserted text ending at the caret,
+ * rather than deleting, replacing or just moving the caret
+ */
+function typedAtCaret(current, previous) {
+  if (!previous) return false;
+  const added = current.text.length - previous.text.length;
+  if (added <= 0 || added > current.caret) return false;
+  const { text, caret } = current;
+  return text.slice(0, caret - added) + text.slice(caret) === previous.text;
+}
+
+/**
+ * Which rule an input fires, if any: 'paragraph' | 'sentence' | 'words' | null
+ */
+export function evaluateRules(rules, current, previous) {
+  if (!current.text.trim()) return null;
+
+  if (rules.paragraphBreak && previous && current.paragraphs > previous.paragraphs) {
+    return 'paragraph';
+  }
+  // Only typing the punctuation counts, not backspacing onto a sentence that already ended
+  if (rules.sentenceEnd && endsWithSentence(current.beforeCaret) && typedAtCaret(current, previous)) {
+    return 'sentence';
+  }
+  // Fire once per tick, not again on every keystroke at the same count
+  const sameCount = previous?.paragraph === current.paragraph && previous.words === current.words;
+  if (rules.words > 0 && current.words > 0 && current.words % rules.words === 0 && !sameCount) {
+    return 'words';
+  }
+  return null;
+}
+
+/**
+ * Create a scheduler that calls onTrigger({ reason, paragraph, at }) when a request should go out
+ * onChange(status) is called whenever the debug status changes
+ */
+export function createScheduler({ rules = DEFAULT_RULES, clock = systemClock, onTrigger, onChange = () => {} }) {
+  let previous = null; // last input read
+  let dirty = false; // input since the last trigger
+  let lastFiredAt = null;
+  let pending = null; // trigger held back by the cooldown
+  let last = null; // last trigger fired
+  let idleTimer = null;
+  let cooldownTimer = null;
+
+  const status = () => ({ last, pending, idleArmed: idleTimer !== null, rules });
+
+  const fire = (trigger) => {
+    const now = clock.now();
+    const wait = lastFiredAt === null ? 0 : lastFiredAt + rules.cooldownMs - now;
+    if (wait > 0) {
+      // The newest reason wins; it fires when the cooldown ends
+      pending = trigger;
+      if (cooldownTimer === null) {
+        cooldownTimer = clock.setTimeout(() => {
+          cooldownTimer = null;
+          const held = pending;
+          pending = null;
+          if (held) fire(held);
+        }, wait);
+      }
+      onChange(status());
+      return;
+    }
+
+    lastFiredAt = now;
+    dirty = false;
+    last = { ...trigger, at: now };
+    onTrigger(last);
+    onChange(status());
+  };
+
+  /**
+   * Feed the editor's text and caret after each input
+   */
+  const input = (text, caret) => {
+    const current = readInput(text, caret);
+    const reason = evaluateRules(rules, current, previous);
+    previous = current;
+    dirty = true;
+
+    clock.clearTimeout(idleTimer);
+    idleTimer = null;
+    if (rules.idleMs > 0 && text.trim()) {
+      idleTimer = clock.setTimeout(() => {
+        idleTimer = null;
+        if (dirty) fire({ reason: 'idle', paragraph: current.paragraph });
+        else onChange(status());
+      }, rules.idleMs);
+    }
+
+    if (reason) fire({ reason, paragraph: current.paragraph });
+    else onChange(status());
+  };
+
+  /**
+   * Stop all timers
+   */
+  const dispose = () => {
+    clock.clearTimeout(idleTimer);
+    clock.clearTimeout(cooldownTimer);
+    idleTimer = null;
+    cooldownTimer = null;
+    pending = null;
+  };
+
+  /**
+   * Stop all timers and forget past input, e.g. when another document is opened
+   */
+  const reset = () => {
+    dispose();
+    previous = null;
+    dirty = false;
+    lastFiredAt = null;
+    last = null;
+    onChange(status());
+  };
+
+  return { input, status, dispose, reset };
+}
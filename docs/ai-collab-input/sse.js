@@ -0,0 +1,56 @@
+// Minimal Server-Sent Events reader for fetch responses
+
+/**
+ * Whether a response is an event stream
+ */
+export function isEventStream(response) {
+  return (response.headers.get('Content-Type') || '').includes('text/event-stream');
+}
+
+/**
+ * Parse one event block into { event, data }, or null for a block of only comments
+ */
+function parseEvent(block) {
+  let event = 'message';
+  const data = [];
+  let fields = 0;
+  block.split(/\r?\n/).forEach(line => {
+    if (!line || line.startsWith(':')) return; // blank, or comment / keep-alive
+    fields++;
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+    if (field === 'event') event = value;
+    if (field === 'data') data.push(value);
+  });
+  return fields ? { event, data: data.join('\n') } : null;
+}
+
+/**
+ * Read events from a text/event-stream response, calling onEvent({ event, data })
+ * Stops early, closing the connection, when onEvent returns true
+ */
+export async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const blocks = buffer.split(/\r?\n\r?\n/);
+      buffer = blocks.pop();
+      for (const event of blocks.map(parseEvent)) {
+        if (event && onEvent(event)) return;
+      }
+    }
+    const last = parseEvent(buffer);
+    if (last) onEvent(last);
+  } finally {
+    // Release the connection; this rejects harmlessly once the stream is closed or aborted
+    reader.cancel().catch(() => {});
+  }
+}
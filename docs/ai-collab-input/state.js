@@ -1,14 +1,37 @@
 // Pure state management functions
 
+import { splitParagraphs } from './util.js';
+import { DEFAULT_PERSONA } from './personas.js';
+
+let nextSectionId = 1;
+
+// AI versions kept per paragraph
+const MAX_VERSIONS = 20;
+
+// Sentence pulls that can be undone
+const MAX_PULLS = 50;
+
 /**
  * Initial application state
  */
 export function createInitialState() {
   return {
+    docId: null, // IndexedDB id once the document is first saved
+    docCreatedAt: null,
+    documents: [], // saved documents, most recently edited first
+    documentsOpen: false,
     userText: '',
-    aiText: '',
-    status: 'idle', // 'idle' | 'loading' | 'done' | 'error'
+    sections: syncSections([], splitParagraphs('')), // one per user paragraph
     currentDial: 50,
+    personaId: DEFAULT_PERSONA, // voice the AI pane writes in (see personas.js)
+    personas: [], // built-in and user-defined personas
+    layout: 'auto', // 'auto' | 'split' | 'stacked'
+    narrow: false, // viewport is phone-sized (used by 'auto')
+    caretParagraph: 0, // paragraph holding the editor's caret
+    hoverParagraph: null, // paragraph under the pointer, in either pane
+    selectedSentence: null, // AI sentence picked for pulling: { sectionId, index }
+    pulls: [], // sentence pulls, oldest first: { sectionId, label, before, after }
+    diffOpen: false, // show the latest pull as a diff
     lastTypedAt: null,
     lastSentAt: null,
     hintVisible: true
@@ -16,12 +39,62 @@ export function createInitialState() {
 }
 
 /**
- * Update user text and related timestamps
+ * Create a section for a new user paragraph
+ */
+function createSection(userText) {
+  return {
+    id: nextSectionId++,
+    userText,
+    aiText: '',
+    sourceText: '', // userText snapshot the aiText was written for
+    sourceSeq: 0, // sequence id of the request that wrote aiText
+    history: [], // finished AI versions, oldest first: { aiText, sourceText }
+    contextTrimmed: false, // earlier paragraphs were cut to fit the last request
+    status: 'idle' // 'idle' | 'loading' | 'streaming' | 'done' | 'error'
+  };
+}
+
+/**
+ * Match sections to the new paragraphs
+ *
+ * Paragraphs unchanged at the start and end keep their section as is. The
+ * edited paragraphs in between take over the old sections in order (keeping
+ * their AI text until it is regenerated), and any extra ones get new sections.
+ */
+function syncSections(sections, paragraphs) {
+  let start = 0;
+  while (start < sections.length && start < paragraphs.length && sections[start].userText === paragraphs[start]) {
+    start++;
+  }
+
+  let end = 0;
+  while (
+    end < sections.length - start
+    && end < paragraphs.length - start
+    && sections[sections.length - 1 - end].userText === paragraphs[paragraphs.length - 1 - end]
+  ) {
+    end++;
+  }
+
+  const edited = sections.slice(start, sections.length - end);
+  const middle = paragraphs.slice(start, paragraphs.length - end).map((userText, i) => {
+    const section = edited[i] || createSection(userText);
+    // An emptied paragraph has nothing to answer
+    if (!userText.trim()) return { ...section, userText, aiText: '', sourceText: userText, status: 'idle' };
+    return { ...section, userText };
+  });
+
+  return [...sections.slice(0, start), ...middle, ...sections.slice(sections.length - end)];
+}
+
+/**
+ * Update user text, its sections and related timestamps
  */
 export function updateUserText(state, text, now) {
   return {
     ...state,
     userText: text,
+    sections: syncSections(state.sections, splitParagraphs(text)),
     lastTypedAt: now,
     hintVisible: text.trim() === ''
   };
@@ -38,43 +111,290 @@ export function updateDial(state, value) {
 }
 
 /**
- * Set loading state when sending request
+ * Choose the persona the AI answers as
  */
-export function setLoading(state, now) {
+export function setPersona(state, personaId) {
   return {
     ...state,
-    status: 'loading',
-    lastSentAt: now
+    personaId
+  };
+}
+
+/**
+ * Replace the list of personas
+ */
+export function setPersonas(state, personas) {
+  return {
+    ...state,
+    personas
+  };
+}
+
+/**
+ * Choose the layout: split panes, stacked sections, or automatic by viewport
+ */
+export function setLayout(state, layout) {
+  return {
+    ...state,
+    layout
+  };
+}
+
+/**
+ * Record whether the viewport is phone-sized
+ */
+export function setNarrow(state, narrow) {
+  return {
+    ...state,
+    narrow
+  };
+}
+
+/**
+ * Layout in effect: 'split' | 'stacked'
+ */
+export function effectiveLayout(state) {
+  if (state.layout !== 'auto') return state.layout;
+  return state.narrow ? 'stacked' : 'split';
+}
+
+/**
+ * Record which paragraph holds the caret
+ */
+export function setCaretParagraph(state, caretParagraph) {
+  return {
+    ...state,
+    caretParagraph
+  };
+}
+
+/**
+ * Record which paragraph the pointer is over, or null
+ */
+export function setHoverParagraph(state, hoverParagraph) {
+  return {
+    ...state,
+    hoverParagraph
+  };
+}
+
+/**
+ * Paragraph whose two halves are highlighted: the hovered one, else the caret's
+ */
+export function linkedParagraph(state) {
+  return state.hoverParagraph ?? state.caretParagraph;
+}
+
+/**
+ * Select an AI sentence to pull into the user's text, or clear with null
+ */
+export function selectSentence(state, selectedSentence) {
+  return {
+    ...state,
+    selectedSentence
+  };
+}
+
+/**
+ * Record a sentence pull that changed one paragraph from before to after, and show its diff
+ */
+export function pushPull(state, pull) {
+  return {
+    ...state,
+    pulls: [...state.pulls, pull].slice(-MAX_PULLS),
+    diffOpen: true
+  };
+}
+
+/**
+ * Forget the latest pull once it is undone
+ */
+export function popPull(state) {
+  return {
+    ...state,
+    pulls: state.pulls.slice(0, -1)
+  };
+}
+
+/**
+ * Whether the latest pull can be undone: its paragraph hasn't been edited since
+ */
+export function canUndoPull(state) {
+  const pull = state.pulls[state.pulls.length - 1];
+  return Boolean(pull) && state.sections.some(section => section.id === pull.sectionId && section.userText === pull.after);
+}
+
+/**
+ * Show or hide the diff of the latest pull
+ */
+export function setDiffOpen(state, diffOpen) {
+  return {
+    ...state,
+    diffOpen
   };
 }
 
 /**
- * Set AI response and mark as done
+ * Replace one section by id
  */
-export function setAiResponse(state, aiText) {
+function updateSection(state, id, changes) {
   return {
     ...state,
+    sections: state.sections.map(section => (section.id === id ? { ...section, ...changes } : section))
+  };
+}
+
+/**
+ * Sections whose AI text no longer answers their user text (including ones still loading)
+ */
+export function staleSections(state) {
+  return state.sections.filter(section => section.userText.trim() && section.userText !== section.sourceText);
+}
+
+/**
+ * Set a section loading when its request is sent, noting whether its context had to be trimmed
+ */
+export function setSectionLoading(state, id, now, contextTrimmed = false) {
+  return {
+    ...updateSection(state, id, { status: 'loading', contextTrimmed }),
+    lastSentAt: now
+  };
+}
+
+/**
+ * Whether a request's answer may replace a section's AI text (latest wins)
+ */
+function isLatest(state, id, seq) {
+  const section = state.sections.find(candidate => candidate.id === id);
+  return Boolean(section) && seq >= section.sourceSeq;
+}
+
+/**
+ * Show a section's AI text while request seq streams in
+ */
+export function setSectionStreaming(state, id, aiText, seq) {
+  if (!isLatest(state, id, seq)) return state;
+  return updateSection(state, id, { aiText, sourceSeq: seq, status: 'streaming' });
+}
+
+/**
+ * Set a section's AI text, written by request seq for the sourceText snapshot, and mark it done
+ */
+export function setSectionText(state, id, aiText, sourceText, seq) {
+  if (!isLatest(state, id, seq)) return state;
+  const { history } = state.sections.find(section => section.id === id);
+  return updateSection(state, id, {
     aiText,
+    sourceText,
+    sourceSeq: seq,
+    history: [...history, { aiText, sourceText }].slice(-MAX_VERSIONS),
     status: 'done'
+  });
+}
+
+/**
+ * Set a section's error state
+ */
+export function setSectionError(state, id) {
+  return updateSection(state, id, { status: 'error' });
+}
+
+/**
+ * Reset a section to idle after an error
+ */
+export function resetSection(state, id) {
+  return updateSection(state, id, { status: 'idle' });
+}
+
+/**
+ * Title for a document: the start of its first paragraph
+ */
+export function documentTitle(userText) {
+  const first = splitParagraphs(userText).find(paragraph => paragraph.trim());
+  if (!first) return 'Untitled';
+  const title = first.trim();
+  return title.length > 48 ? `${title.slice(0, 48).replace(/\s+\S*$/, '')}…` : title;
+}
+
+/**
+ * The current piece as a document record for saving and export
+ */
+export function toDocument(state) {
+  return {
+    id: state.docId ?? undefined,
+    title: documentTitle(state.userText),
+    dial: state.currentDial,
+    persona: state.personaId,
+    userText: state.userText,
+    sections: state.sections.map(({ userText, aiText, sourceText, history }) => ({ userText, aiText, sourceText, history })),
+    createdAt: state.docCreatedAt ?? undefined
   };
 }
 
 /**
- * Set error state
+ * Remember the id a new document was saved under
+ */
+export function setSavedDocument(state, docId, docCreatedAt) {
+  return {
+    ...state,
+    docId,
+    docCreatedAt
+  };
+}
+
+/**
+ * Open a saved or imported document in place of the current one
+ */
+export function loadDocument(state, doc) {
+  const sections = doc.sections.map(section => ({
+    ...createSection(section.userText),
+    aiText: section.aiText,
+    sourceText: section.sourceText,
+    history: section.history || [],
+    status: section.aiText ? 'done' : 'idle'
+  }));
+  return {
+    ...state,
+    docId: doc.id ?? null,
+    docCreatedAt: doc.createdAt ?? null,
+    userText: doc.userText,
+    sections: sections.length ? sections : syncSections([], splitParagraphs('')),
+    currentDial: doc.dial,
+    personaId: doc.persona || DEFAULT_PERSONA,
+    caretParagraph: 0,
+    hoverParagraph: null,
+    selectedSentence: null,
+    pulls: [],
+    diffOpen: false,
+    lastTypedAt: null,
+    lastSentAt: null,
+    hintVisible: doc.userText.trim() === ''
+  };
+}
+
+/**
+ * Start a new, empty document
+ */
+export function newDocument(state) {
+  return loadDocument(state, { id: null, createdAt: null, userText: '', sections: [], dial: state.currentDial, persona: state.personaId });
+}
+
+/**
+ * Replace the list of saved documents
  */
-export function setError(state) {
+export function setDocuments(state, documents) {
   return {
     ...state,
-    status: 'error'
+    documents
   };
 }
 
 /**
- * Reset to idle state
+ * Show or hide the documents panel
  */
-export function resetToIdle(state) {
+export function setDocumentsOpen(state, documentsOpen) {
   return {
     ...state,
-    status: 'idle'
+    documentsOpen
   };
 }
@@ -1,17 +1,60 @@
 // DOM rendering and UI management
 
+import { effectiveLayout, linkedParagraph, canUndoPull } from './state.js';
+import { measureUserParagraphs, alignAiParagraphs, boxAt, mapScroll } from './panes.js';
+import { diffWords } from './pull.js';
+import { splitSentences } from './util.js';
+
+// Persona picker value that opens the editor for a new persona
+export const NEW_PERSONA = 'new';
+
+// Stacked layout elements per section id: { item, editor, ai, section }
+const stackItems = new Map();
+let renderedLayout = null;
+
+// Paragraph boxes in the split panes from the last alignment: { top, height }
+let userBoxes = [];
+let aiBoxes = [];
+
 /**
  * Get DOM elements
  */
 export function getElements() {
   return {
     editor: document.getElementById('editor'),
+    editorTrack: document.getElementById('editorTrack'),
+    userHighlight: document.getElementById('userHighlight'),
     aiContent: document.getElementById('aiContent'),
     aiLoading: document.getElementById('aiLoading'),
     aiPane: document.getElementById('aiPane'),
     hint: document.getElementById('hint'),
+    split: document.getElementById('split'),
+    stack: document.getElementById('stack'),
+    layoutSelect: document.getElementById('layoutSelect'),
     dial: document.getElementById('dial'),
-    dialValue: document.getElementById('dialValue')
+    dialLabel: document.getElementById('dialLabel'),
+    dialValue: document.getElementById('dialValue'),
+    personaSelect: document.getElementById('personaSelect'),
+    personaEditBtn: document.getElementById('personaEditBtn'),
+    personaDialog: document.getElementById('personaDialog'),
+    personaForm: document.getElementById('personaForm'),
+    personaDeleteBtn: document.getElementById('personaDeleteBtn'),
+    sentenceActions: document.getElementById('sentenceActions'),
+    diffPanel: document.getElementById('diffPanel'),
+    diffLabel: document.getElementById('diffLabel'),
+    diffView: document.getElementById('diffView'),
+    diffUndoBtn: document.getElementById('diffUndoBtn'),
+    pullUndoBtn: document.getElementById('pullUndoBtn'),
+    diffCloseBtn: document.getElementById('diffCloseBtn'),
+    triggerDebug: document.getElementById('triggerDebug'),
+    contextNote: document.getElementById('contextNote'),
+    docsToggle: document.getElementById('docsToggle'),
+    docsPanel: document.getElementById('docsPanel'),
+    docsList: document.getElementById('docsList'),
+    newDocBtn: document.getElementById('newDocBtn'),
+    exportButtons: document.getElementById('exportButtons'),
+    importBtn: document.getElementById('importBtn'),
+    importInput: document.getElementById('importInput')
   };
 }
 
@@ -23,10 +66,250 @@ export function updateHint(elements, visible) {
 }
 
 /**
- * Update the AI content display
+ * Show a section's AI text and status on a paragraph element
+ * Each sentence is its own element, so it can be picked and pulled into the user's text
+ */
+function updateAiParagraph(paragraph, section) {
+  paragraph.dataset.sectionId = section.id;
+  paragraph.replaceChildren(...splitSentences(section.aiText).map((sentence, i) => {
+    const span = document.createElement('span');
+    span.className = 'aiSentence';
+    span.dataset.sentence = i;
+    span.textContent = sentence;
+    return span;
+  }));
+  paragraph.classList.toggle('loading', section.status === 'loading');
+  paragraph.classList.toggle('streaming', section.status === 'streaming');
+  paragraph.classList.toggle('error', section.status === 'error');
+  paragraph.classList.toggle('trimmed', section.contextTrimmed);
+  paragraph.title = section.contextTrimmed ? 'Written with older paragraphs summarized to fit the context' : '';
+}
+
+/**
+ * Update the AI paragraphs, touching only the ones whose section changed
+ */
+export function updateAiSections(elements, sections) {
+  const { aiContent } = elements;
+  
+  sections.forEach((section, i) => {
+    let paragraph = aiContent.children[i];
+    if (!paragraph) {
+      paragraph = document.createElement('p');
+      paragraph.className = 'aiParagraph';
+      paragraph.dataset.index = i + 1;
+      aiContent.append(paragraph);
+    }
+    if (paragraph.section === section) return;
+    paragraph.section = section;
+    updateAiParagraph(paragraph, section);
+  });
+  
+  // Drop paragraphs whose sections were deleted
+  while (aiContent.children.length > sections.length) {
+    aiContent.lastElementChild.remove();
+  }
+}
+
+/**
+ * Line the split panes up: each AI paragraph starts level with its user
+ * paragraph, and each user paragraph gets an index marker in the margin
+ */
+export function alignPanes(elements, sections) {
+  if (elements.split.hidden) return;
+  
+  userBoxes = measureUserParagraphs(elements.editor, sections.map(section => section.userText));
+  aiBoxes = alignAiParagraphs(Array.from(elements.aiContent.children), userBoxes);
+  
+  const { editorTrack } = elements;
+  const markers = Array.from(editorTrack.querySelectorAll('.paraMarker'));
+  userBoxes.forEach((box, i) => {
+    let marker = markers[i];
+    if (!marker) {
+      marker = document.createElement('span');
+      marker.className = 'paraMarker';
+      marker.textContent = i + 1;
+      editorTrack.append(marker);
+    }
+    marker.style.top = `${box.top}px`;
+  });
+  markers.slice(userBoxes.length).forEach(marker => marker.remove());
+}
+
+/**
+ * Highlight a paragraph and its counterpart in both panes
+ */
+export function updateLinkedParagraph(elements, index) {
+  Array.from(elements.aiContent.children).forEach((paragraph, i) => {
+    paragraph.classList.toggle('linked', i === index);
+  });
+  elements.editorTrack.querySelectorAll('.paraMarker').forEach((marker, i) => {
+    marker.classList.toggle('linked', i === index);
+  });
+  
+  const box = userBoxes[index];
+  elements.userHighlight.hidden = !box;
+  if (box) {
+    elements.userHighlight.style.top = `${box.top}px`;
+    elements.userHighlight.style.height = `${box.height}px`;
+  }
+}
+
+/**
+ * Keep the editor's markers and highlight under the text it has scrolled to
+ */
+export function updateEditorTrack(elements) {
+  elements.editorTrack.style.transform = `translateY(${-elements.editor.scrollTop}px)`;
+}
+
+/**
+ * Scroll one pane to match the other, paragraph by paragraph
+ * Returns the pane that was scrolled
+ */
+export function syncScroll(elements, from) {
+  const { editor, aiContent } = elements;
+  if (from === 'user') {
+    aiContent.scrollTop = mapScroll(editor.scrollTop, userBoxes, aiBoxes);
+    return aiContent;
+  }
+  editor.scrollTop = mapScroll(aiContent.scrollTop, aiBoxes, userBoxes);
+  updateEditorTrack(elements);
+  return editor;
+}
+
+/**
+ * Index of the user paragraph under a point in the editor
+ */
+export function paragraphAtPoint(elements, clientY) {
+  const offset = clientY - elements.editor.getBoundingClientRect().top + elements.editor.scrollTop;
+  return boxAt(userBoxes, offset);
+}
+
+/**
+ * The element of an AI sentence in the layout being shown, if it still exists
+ */
+function findSentence(elements, { sectionId, index }) {
+  const container = elements.split.hidden ? elements.stack : elements.aiContent;
+  return container.querySelector(`.aiParagraph[data-section-id="${sectionId}"] .aiSentence[data-sentence="${index}"]`);
+}
+
+/**
+ * Mark the selected AI sentence and place the pull actions under it
+ */
+export function updateSentenceSelection(elements, state) {
+  document.querySelectorAll('.aiSentence.selected').forEach(span => span.classList.remove('selected'));
+  
+  const span = state.selectedSentence && findSentence(elements, state.selectedSentence);
+  elements.sentenceActions.hidden = !span;
+  if (!span) return;
+  
+  span.classList.add('selected');
+  const rect = span.getBoundingClientRect();
+  elements.sentenceActions.style.left = `${Math.max(0, Math.min(rect.left, innerWidth - elements.sentenceActions.offsetWidth))}px`;
+  elements.sentenceActions.style.top = `${rect.bottom + 4}px`;
+}
+
+/**
+ * Show how the latest pull changed its paragraph
+ * The toolbar keeps an undo button for it after the diff is closed
+ */
+export function updateDiff(elements, state) {
+  const pull = state.pulls[state.pulls.length - 1];
+  elements.diffPanel.hidden = !state.diffOpen || !pull;
+  elements.pullUndoBtn.hidden = !canUndoPull(state);
+  if (!pull) return;
+  
+  elements.pullUndoBtn.title = `Undo: ${pull.label} (Ctrl+Alt+Z)`;
+  elements.diffUndoBtn.disabled = !canUndoPull(state);
+  elements.diffUndoBtn.title = elements.diffUndoBtn.disabled ? 'The paragraph was edited since' : '';
+  if (elements.diffView.pull === pull) return;
+  elements.diffView.pull = pull;
+  elements.diffLabel.textContent = pull.label;
+  elements.diffView.replaceChildren(...diffWords(pull.before, pull.after).map(part => {
+    if (part.type === 'same') return document.createTextNode(part.text);
+    const mark = document.createElement(part.type === 'added' ? 'ins' : 'del');
+    mark.textContent = part.text;
+    return mark;
+  }));
+}
+
+/**
+ * Grow a section editor to fit its text
+ */
+export function fitEditor(editor) {
+  editor.style.height = 'auto';
+  editor.style.height = `${editor.scrollHeight}px`;
+}
+
+/**
+ * Create the editor and AI paragraph for one stacked section
+ */
+function createStackItem(section) {
+  const item = document.createElement('div');
+  item.className = 'stackSection';
+  
+  const editor = document.createElement('textarea');
+  editor.className = 'sectionEditor';
+  editor.rows = 1;
+  editor.spellcheck = false;
+  editor.dataset.id = section.id;
+  
+  const ai = document.createElement('p');
+  ai.className = 'aiParagraph';
+  
+  item.append(editor, ai);
+  return { item, editor, ai, section: null };
+}
+
+/**
+ * Update the stacked layout: each paragraph's editor with its AI paragraph right below
+ * Elements are kept per section, so the editor being typed in keeps focus and caret
  */
-export function updateAiContent(elements, text) {
-  elements.aiContent.textContent = text;
+export function updateStack(elements, sections) {
+  const items = sections.map((section, i) => {
+    let entry = stackItems.get(section.id);
+    if (!entry) {
+      entry = createStackItem(section);
+      stackItems.set(section.id, entry);
+    }
+    if (entry.section !== section) {
+      entry.section = section;
+      if (entry.editor.value !== section.userText) {
+        entry.editor.value = section.userText;
+        fitEditor(entry.editor);
+      }
+      updateAiParagraph(entry.ai, section);
+    }
+    entry.editor.placeholder = i === 0 && sections.length === 1 ? 'Start typing. A counterpoint appears below each paragraph.' : '';
+    return entry.item;
+  });
+  
+  // Forget sections that are gone
+  const ids = new Set(sections.map(section => section.id));
+  stackItems.forEach((entry, id) => {
+    if (!ids.has(id)) stackItems.delete(id);
+  });
+  
+  // Only re-attach when the order changed, so focus isn't lost while typing
+  const current = Array.from(elements.stack.children);
+  if (current.length !== items.length || current.some((item, i) => item !== items[i])) {
+    elements.stack.replaceChildren(...items);
+  }
+}
+
+/**
+ * Show the split panes or the stacked sections
+ */
+export function updateLayout(elements, state) {
+  const layout = effectiveLayout(state);
+  elements.split.hidden = layout !== 'split';
+  elements.stack.hidden = layout !== 'stacked';
+  elements.layoutSelect.value = state.layout;
+  
+  // Hidden editors can't be measured, so size them once they show
+  if (layout !== renderedLayout) {
+    renderedLayout = layout;
+    if (layout === 'stacked') stackItems.forEach(entry => fitEditor(entry.editor));
+  }
 }
 
 /**
@@ -56,6 +339,142 @@ export function updateDialDisplay(elements, value) {
   elements.dial.value = value;
 }
 
+/**
+ * Update the persona picker and the dial's meaning
+ * User personas are listed after the built-in ones, followed by an entry to create one
+ */
+export function updatePersonas(elements, state) {
+  const { personaSelect } = elements;
+  if (personaSelect.personas !== state.personas) {
+    personaSelect.personas = state.personas;
+    const options = state.personas.map(persona => new Option(persona.name, persona.id));
+    personaSelect.replaceChildren(...options, new Option('New persona…', NEW_PERSONA));
+  }
+  personaSelect.value = state.personaId;
+  
+  const persona = state.personas.find(candidate => candidate.id === state.personaId);
+  elements.dialLabel.textContent = persona ? persona.dialLabel : 'Divergence';
+  elements.personaEditBtn.hidden = !persona?.custom;
+}
+
+/**
+ * Open the persona editor filled in from a persona
+ */
+export function openPersonaDialog(elements, persona, { deletable }) {
+  const fields = elements.personaForm.elements;
+  ['name', 'dialLabel', 'system', 'task', 'answer'].forEach(name => {
+    fields[name].value = persona[name];
+  });
+  [fields.dialLow, fields.dialMid, fields.dialHigh].forEach((field, i) => {
+    field.value = persona.dial[i]?.instruction || '';
+  });
+  fields.temperatureMin.value = persona.temperature.min;
+  fields.temperatureMax.value = persona.temperature.max;
+  elements.personaDeleteBtn.hidden = !deletable;
+  elements.personaDialog.showModal();
+}
+
+/**
+ * Read the persona editor back into a persona, keeping the base persona's id and dial ranges
+ */
+export function readPersonaForm(elements, base) {
+  const fields = elements.personaForm.elements;
+  const ranges = base.dial.length === 3 ? base.dial.map(range => range.upTo) : [33, 66, 100];
+  return {
+    id: base.id,
+    name: fields.name.value.trim(),
+    dialLabel: fields.dialLabel.value.trim(),
+    system: fields.system.value.trim(),
+    task: fields.task.value.trim(),
+    answer: fields.answer.value.trim(),
+    dial: [fields.dialLow, fields.dialMid, fields.dialHigh].map((field, i) => ({
+      upTo: ranges[i],
+      instruction: field.value.trim()
+    })),
+    temperature: {
+      min: Number(fields.temperatureMin.value),
+      max: Number(fields.temperatureMax.value)
+    }
+  };
+}
+
+/**
+ * Describe a trigger for the debug readout
+ */
+function describeTrigger(trigger) {
+  return `${trigger.reason} (¶${trigger.paragraph + 1})`;
+}
+
+/**
+ * Show which send trigger fired last, and what is waiting
+ */
+export function updateTriggerDebug(elements, { last, pending, idleArmed, rules }) {
+  const parts = [
+    last ? `fired: ${describeTrigger(last)} at ${new Date(last.at).toLocaleTimeString()}` : 'fired: none yet'
+  ];
+  if (pending) parts.push(`held by cooldown: ${describeTrigger(pending)}`);
+  if (idleArmed) parts.push(`idle in ${rules.idleMs / 1000}s`);
+  elements.triggerDebug.textContent = parts.join(' · ');
+}
+
+/**
+ * Create a document list entry
+ */
+function createDocumentItem(doc) {
+  const item = document.createElement('li');
+  item.className = 'docItem';
+  item.dataset.id = doc.id;
+  
+  const open = document.createElement('button');
+  open.className = 'docOpen';
+  open.dataset.action = 'open';
+  const title = document.createElement('span');
+  title.className = 'docTitle';
+  title.textContent = doc.title;
+  const meta = document.createElement('span');
+  meta.className = 'docMeta';
+  meta.textContent = new Date(doc.updatedAt).toLocaleString();
+  open.append(title, meta);
+  
+  const remove = document.createElement('button');
+  remove.className = 'docDelete';
+  remove.dataset.action = 'delete';
+  remove.title = 'Delete document';
+  remove.textContent = '×';
+  
+  item.append(open, remove);
+  return item;
+}
+
+/**
+ * Update the documents panel, marking the open document
+ */
+export function updateDocuments(elements, state) {
+  elements.docsPanel.hidden = !state.documentsOpen;
+  elements.docsToggle.classList.toggle('active', state.documentsOpen);
+  
+  if (elements.docsList.documents !== state.documents) {
+    elements.docsList.documents = state.documents;
+    elements.docsList.replaceChildren(...state.documents.map(createDocumentItem));
+  }
+  Array.from(elements.docsList.children).forEach(item => {
+    item.classList.toggle('current', Number(item.dataset.id) === state.docId);
+  });
+}
+
+/**
+ * Trigger a browser download of text content
+ */
+export function downloadFile(filename, content, type = 'application/json') {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
 /**
  * Render the complete UI state
  */
@@ -64,13 +483,30 @@ export function render(elements, state) {
   updateHint(elements, state.hintVisible);
   
   // Update AI content
-  updateAiContent(elements, state.aiText);
+  updateAiSections(elements, state.sections);
+  updateStack(elements, state.sections);
+  updateLayout(elements, state);
+  
+  // Line the panes up and link the active paragraph
+  alignPanes(elements, state.sections);
+  updateLinkedParagraph(elements, linkedParagraph(state));
+  
+  // Sentence pulls: the picked sentence, and the diff of the last pull
+  updateSentenceSelection(elements, state);
+  updateDiff(elements, state);
   
   // Update loading state
-  const isLoading = state.status === 'loading';
-  const isError = state.status === 'error';
+  const isLoading = state.sections.some(section => section.status === 'loading' || section.status === 'streaming');
+  const isError = state.sections.some(section => section.status === 'error');
   updateLoadingState(elements, isLoading, isError);
   
-  // Update dial
+  // Show when long documents had their context trimmed
+  elements.contextNote.hidden = !state.sections.some(section => section.contextTrimmed);
+  
+  // Update persona and dial
+  updatePersonas(elements, state);
   updateDialDisplay(elements, state.currentDial);
+  
+  // Update documents panel
+  updateDocuments(elements, state);
 }
@@ -30,6 +30,34 @@ export function splitParagraphs(text) {
   return text.split(/\n/);
 }
 
+/**
+ * Index of the paragraph containing a caret offset
+ */
+export function paragraphAt(text, caret) {
+  return splitParagraphs(text.slice(0, caret)).length - 1;
+}
+
+/**
+ * Join a multi-line AI answer into one paragraph
+ */
+export function joinLines(text) {
+  return text.trim().replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * Split a paragraph into sentences at terminal punctuation, each keeping the space before it
+ */
+export function splitSentences(text) {
+  return text.split(/([.!?](?=\s|$))/).reduce((acc, part, i) => {
+    if (i % 2 === 0) {
+      acc.push(part);
+    } else {
+      acc[acc.length - 1] += part;
+    }
+    return acc;
+  }, []).filter(s => s.trim());
+}
+
 /**
  * Trim AI response to match user sentence count per paragraph
  */
@@ -43,33 +71,23 @@ export function applySentenceGuard(aiText, userText) {
     
     if (!aiPara) return '';
     
-    // Split AI paragraph into sentences
-    const sentences = aiPara.split(/([.!?](?=\s|$))/).reduce((acc, part, i) => {
-      if (i % 2 === 0) {
-        acc.push(part);
-      } else {
-        acc[acc.length - 1] += part;
-      }
-      return acc;
-    }, []).filter(s => s.trim());
-    
     // Take only the allowed number of sentences
-    return sentences.slice(0, maxSentences).join('');
+    return splitSentences(aiPara).slice(0, maxSentences).join('');
   });
   
   return guardedParas.join('\n');
 }
 
 /**
- * Determine if we should send a request based on current state
+ * Apply the sentence guard to an answer that is still streaming in
+ * Returns the text to show, and whether the paragraph already has all its sentences
  */
-export function shouldSend({ wordsInPara, endedSentence, keystrokesInPara, lastSentAt, now }) {
-  const cooldownOk = !lastSentAt || (now - lastSentAt) >= 2000; // Increased cooldown
-  if (!cooldownOk) return false;
-  
-  if (endedSentence) return true;
-  // Trigger after ~60 keystrokes (longer threshold)
-  if (keystrokesInPara > 0 && keystrokesInPara % 60 === 0) return true;
-  
-  return false;
+export function guardPartial(aiText, userText) {
+  const maxSentences = Math.max(1, sentenceCount(userText));
+  // Only count sentences followed by more text, so "3." in "3.5" doesn't end one early
+  const finished = (aiText.match(/[.!?](?=\s)/g) || []).length;
+  return {
+    text: applySentenceGuard(aiText, userText),
+    full: finished >= maxSentences
+  };
 }